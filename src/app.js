@@ -1,6 +1,9 @@
 import express from 'express';
 import cors from 'cors';
 import cookieParser from "cookie-parser"
+import { requestId } from './middlewares/requestId.middleware.js'
+import { notFoundHandler, errorHandler } from './middlewares/error.middleware.js'
+import { protectLocalMediaFiles } from './middlewares/localUploads.middleware.js'
 
 // CORS - Handles cross-origin requests
 // express.json() - Parses JSON request bodies
@@ -14,10 +17,18 @@ import cookieParser from "cookie-parser"
 
  const app = express()
 
+ // behind a proxy / load balancer req.ip would be the proxy's ip, rate limits are per ip
+ if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+ }
+
+ app.use(requestId)// first, so even errors of the middlewares below have a request id
+
  app.use(cors({
     origin:process.env.CORS_ORIGIN,    
     //   origin: true,  // Allows any origin
     credentials:true,
+    exposedHeaders: ["Location", "Upload-Offset", "Upload-Length", "Upload-Expires"],// resumable uploads, browsers hide other headers from js
 
 //     // With credentials: true
 // fetch('http://api.example.com/data', {
@@ -37,6 +48,7 @@ import cookieParser from "cookie-parser"
     limit:'16kb',
  }))
 
+ app.use(protectLocalMediaFiles("public"))// before static: local video and hls files need a signed url
  app.use(express.static("public"))
 
  app.use(cookieParser())
@@ -44,17 +56,6 @@ import cookieParser from "cookie-parser"
 // cookieParser() is middleware that parses cookies from incoming requests and makes them available in req.cookies.
 
 
- // Your error handling middleware (probably in app.js)
-app.use((err, req, res, next) => {
-    const statusCode = err.statusCode || 500;
-    const message = err.message || "Internal Server Error";
-    
-    return res.status(statusCode).json({
-        success: false,
-        message: message,
-        statusCode: statusCode
-    });
-});
 
 
 
@@ -62,8 +63,30 @@ app.use((err, req, res, next) => {
  //routes
 
  import userRouter from './routes/user.route.js'
+ import videoRouter from './routes/video.route.js'
+ import commentRouter from './routes/comment.route.js'
+ import likeRouter from './routes/like.route.js'
+ import subscriptionRouter from './routes/subscription.route.js'
+ import playlistRouter from './routes/playlist.route.js'
+ import tweetRouter from './routes/tweet.route.js'
+ import dashboardRouter from './routes/dashboard.route.js'
+ import adminRouter from './routes/admin.route.js'
+ import uploadRouter from './routes/upload.route.js'
 //routes declaration
 app.use("/api/v1/users/", userRouter)
+app.use("/api/v1/videos", videoRouter)
+app.use("/api/v1/comments", commentRouter)
+app.use("/api/v1/likes", likeRouter)
+app.use("/api/v1/subscriptions", subscriptionRouter)
+app.use("/api/v1/playlist", playlistRouter)
+app.use("/api/v1/tweets", tweetRouter)
+app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/uploads", uploadRouter)
+
+// error handling has to come after the routes, express only passes errors forward to later middleware
+app.use(notFoundHandler)
+app.use(errorHandler)
 
  
 
@@ -1,2 +1,41 @@
 export const DB_NAME = "videotube"
-const connectionString = process.env.MONGODB_URI;
\ No newline at end of file
+export const TWEET_MAX_LENGTH = 280
+export const USER_ROLES = ["user", "moderator", "admin"]
+// same viewer watching the same video again inside this window is not counted as a new view
+export const VIEW_COUNT_WINDOW_SECONDS = 24 * 60 * 60
+// after this many wrong passwords in a row the account gets locked,
+// first for LOGIN_LOCK_BASE_MS, then twice as long with every further failure up to LOGIN_LOCK_MAX_MS
+export const LOGIN_LOCK_THRESHOLD = 5
+export const LOGIN_LOCK_BASE_MS = 60 * 1000
+export const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000
+const connectionString = process.env.MONGODB_URI;
+// upload size limits, checked per file field by the upload middleware
+export const IMAGE_UPLOAD_MAX_BYTES = 5 * 1024 * 1024
+export const VIDEO_UPLOAD_MAX_BYTES = 500 * 1024 * 1024
+// resumable uploads: biggest accepted file, how long an untouched session lives and how often expired ones are swept
+export const RESUMABLE_UPLOAD_MAX_BYTES = 5 * 1024 * 1024 * 1024
+export const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000
+export const UPLOAD_SESSION_SWEEP_INTERVAL_MS = 15 * 60 * 1000
+// background jobs: how often an idle worker looks for work, how often a running job renews its lock,
+// when a running job whose lock wasn't renewed counts as crashed,
+// and the retry backoff (JOB_RETRY_BASE_MS, doubled every attempt, at most JOB_RETRY_MAX_MS)
+export const JOB_POLL_INTERVAL_MS = 2 * 1000
+export const JOB_HEARTBEAT_INTERVAL_MS = 60 * 1000
+export const JOB_LOCK_TIMEOUT_MS = 5 * 60 * 1000
+export const JOB_RETRY_BASE_MS = 30 * 1000
+export const JOB_RETRY_MAX_MS = 60 * 60 * 1000
+// hls ladder, only the renditions not taller than the source are made (bitrates in kbit/s)
+export const HLS_RENDITIONS = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 }
+]
+export const HLS_SEGMENT_SECONDS = 6
+// how long the playlist and segment urls of GET /videos/:videoId/playback work, long enough for one viewing
+export const HLS_PLAYBACK_URL_TTL_SECONDS = 6 * 60 * 60
+// public: listed everywhere, unlisted: only by direct id, private: only the owner
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"]
+// how often the scheduler looks for videos whose publishAt has come
+export const VIDEO_PUBLISH_CHECK_INTERVAL_MS = 60 * 1000
@@ -0,0 +1,230 @@
+import { isValidObjectId } from "mongoose"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Session } from "../models/session.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+import { USER_ROLES } from "../constants.js"
+
+
+// who may act on whom: admins on everybody except other admins, moderators only on normal users
+const canModerate = (actor, target) => {
+    if (actor._id.toString() === target._id.toString()) {
+        return false
+    }
+    if (actor.role === "admin") {
+        return target.role !== "admin"
+    }
+    return target.role === "user"
+}
+
+const listUsers = asyncHandler(async (req, res) => {
+    const { query, role, suspended } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const filter = {}
+
+    if (role) {
+        if (!USER_ROLES.includes(role)) {
+            throw new ApiError(400, `role must be one of ${USER_ROLES.join(", ")}`)
+        }
+        filter.role = role
+    }
+
+    if (suspended === "true" || suspended === "false") {
+        filter.isSuspended = suspended === "true"
+    }
+
+    if (query?.trim()) {
+        const searchRegex = new RegExp(query.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+        filter.$or = [
+            { username: searchRegex },
+            { email: searchRegex },
+            { fullName: searchRegex }
+        ]
+    }
+
+    const [users, totalDocs] = await Promise.all([
+        User.find(filter)
+        .select("username email fullName avatar role isEmailVerified isSuspended suspendedAt suspensionReason createdAt")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+        User.countDocuments(filter)
+    ])
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            docs: users,
+            totalDocs,
+            limit,
+            page,
+            totalPages: Math.ceil(totalDocs / limit)
+        },
+        "Users fetched successfully"
+    ))
+})
+
+const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason } = req.body
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    if (!canModerate(req.user, user)) {
+        throw new ApiError(403, "You are not allowed to suspend this user")
+    }
+
+    user.isSuspended = true
+    user.suspendedAt = new Date()
+    user.suspensionReason = reason?.trim() || undefined
+    await user.save({ validateBeforeSave: false })
+
+    // kick the user out of every device right away
+    const revokedSessions = await Session.revokeAllForUser(user._id, "suspended")
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            userId: user._id,
+            isSuspended: true,
+            suspendedAt: user.suspendedAt,
+            suspensionReason: user.suspensionReason,
+            revokedSessions
+        },
+        "User suspended successfully"
+    ))
+})
+
+const unsuspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    if (!canModerate(req.user, user)) {
+        throw new ApiError(403, "You are not allowed to unsuspend this user")
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+        userId,
+        {
+            $set: {
+                isSuspended: false
+            },
+            $unset: {
+                suspendedAt: 1,
+                suspensionReason: 1
+            }
+        },
+        { new: true }
+    ).select("username email fullName role isSuspended")
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "User unsuspended successfully"))
+})
+
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    // the moderation flag keeps it down: the owner's publish endpoints and the scheduler skip flagged videos
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                ...Video.visibilityFields("private"),
+                moderation: {
+                    unpublishedAt: new Date(),
+                    unpublishedBy: req.user._id,
+                    reason: reason?.trim() || undefined
+                }
+            },
+            // or the scheduler would put it back up
+            $unset: {
+                publishAt: 1
+            }
+        },
+        { new: true }
+    )
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            videoId: video._id,
+            isPublished: video.isPublished,
+            visibility: video.visibility,
+            moderation: video.moderation
+        },
+        "Video unpublished successfully"
+    ))
+})
+
+const liftVideoUnpublish = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    // only removes the flag, the video stays private until its owner publishes it again
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $unset: {
+                moderation: 1
+            }
+        },
+        { new: true }
+    )
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { videoId: video._id, isPublished: video.isPublished, visibility: video.visibility }, "Video can be published again"))
+})
+
+
+export {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    forceUnpublishVideo,
+    liftVideoUnpublish
+}
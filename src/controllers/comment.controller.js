@@ -0,0 +1,270 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Comment } from "../models/comment.model.js"
+import { Video } from "../models/video.model.js"
+import { Like } from "../models/like.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+
+
+// shared stages: join owner (username, fullName, avatar) into every comment
+const commentOwnerStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: {
+                $first: "$owner"
+            }
+        }
+    }
+]
+
+// a comment can only be seen if its video is published or belongs to the viewer
+const findViewableVideo = async (videoId, userId) => {
+    const video = await Video.findById(videoId)
+
+    if (!video || (!video.isPublished && video.owner?.toString() !== userId?.toString())) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return video
+}
+
+const getVideoComments = asyncHandler(async (req, res) => {
+    // only top level comments, newest first, each with its number of replies
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    await findViewableVideo(videoId, req.user?._id)
+
+    const commentAggregate = Comment.aggregate([
+        {
+            $match: {
+                video: new mongoose.Types.ObjectId(videoId),
+                parentComment: null
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...commentOwnerStages,
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "parentComment",
+                as: "replies",
+                pipeline: [
+                    {
+                        $project: { _id: 1 }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                replyCount: {
+                    $size: "$replies"
+                }
+            }
+        },
+        {
+            $project: {
+                replies: 0
+            }
+        }
+    ])
+
+    const comments = await Comment.aggregatePaginate(commentAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"))
+})
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid commentId")
+    }
+
+    const parent = await Comment.findById(commentId)
+
+    if (!parent) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    await findViewableVideo(parent.video, req.user?._id)
+
+    const replyAggregate = Comment.aggregate([
+        {
+            $match: {
+                parentComment: new mongoose.Types.ObjectId(commentId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...commentOwnerStages
+    ])
+
+    const replies = await Comment.aggregatePaginate(replyAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"))
+})
+
+const addComment = asyncHandler(async (req, res) => {
+    // parentComment in body makes this a reply, replies only go one level deep
+    const { videoId } = req.params
+    const { content, parentComment } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "Comment content is required")
+    }
+
+    await findViewableVideo(videoId, req.user?._id)
+
+    if (parentComment) {
+        if (!isValidObjectId(parentComment)) {
+            throw new ApiError(400, "Invalid parentComment")
+        }
+
+        const parent = await Comment.findById(parentComment)
+
+        if (!parent || parent.video?.toString() !== videoId) {
+            throw new ApiError(404, "Parent comment not found on this video")
+        }
+
+        if (parent.parentComment) {
+            throw new ApiError(400, "Replies can only be added to top level comments")
+        }
+    }
+
+    const comment = await Comment.create({
+        content: content.trim(),
+        video: videoId,
+        owner: req.user?._id,
+        parentComment: parentComment || null
+    })
+
+    if (!comment) {
+        throw new ApiError(500, "Something went wrong while adding the comment")
+    }
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"))
+})
+
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { content } = req.body
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid commentId")
+    }
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "Comment content is required")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    if (comment.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only edit your own comments")
+    }
+
+    const updatedComment = await Comment.findByIdAndUpdate(
+        commentId,
+        {
+            $set: {
+                content: content.trim()
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedComment, "Comment updated successfully"))
+})
+
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid commentId")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    if (comment.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only delete your own comments")
+    }
+
+    // deleting a top level comment removes its replies (and their likes) as well
+    const threadFilter = {
+        $or: [
+            { _id: comment._id },
+            { parentComment: comment._id }
+        ]
+    }
+    const threadCommentIds = await Comment.find(threadFilter).distinct("_id")
+
+    await Like.deleteMany({ comment: { $in: threadCommentIds } })
+    await Comment.deleteMany(threadFilter)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { commentId }, "Comment deleted successfully"))
+})
+
+
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+}
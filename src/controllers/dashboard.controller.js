@@ -0,0 +1,144 @@
+import mongoose from "mongoose"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+
+
+// adds likesCount and commentsCount to every video document
+const videoCountStages = [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "video",
+            as: "likes",
+            pipeline: [
+                { $count: "count" }
+            ]
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "video",
+            as: "comments",
+            pipeline: [
+                { $count: "count" }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: {
+                $ifNull: [{ $first: "$likes.count" }, 0]
+            },
+            commentsCount: {
+                $ifNull: [{ $first: "$comments.count" }, 0]
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0,
+            comments: 0
+        }
+    }
+]
+
+const getChannelStats = asyncHandler(async (req, res) => {
+    // total video views, total subscribers, total videos, total likes and comments received
+    // everything in one aggregation starting from the creator's user document
+    const stats = await User.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(req.user._id)
+            }
+        },
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+                pipeline: [
+                    { $count: "count" }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "owner",
+                as: "videos",
+                pipeline: [
+                    ...videoCountStages,
+                    {
+                        $project: {
+                            views: 1,
+                            likesCount: 1,
+                            commentsCount: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                totalSubscribers: {
+                    $ifNull: [{ $first: "$subscribers.count" }, 0]
+                },
+                totalVideos: {
+                    $size: "$videos"
+                },
+                totalViews: {
+                    $sum: "$videos.views"
+                },
+                totalLikes: {
+                    $sum: "$videos.likesCount"
+                },
+                totalComments: {
+                    $sum: "$videos.commentsCount"
+                }
+            }
+        }
+    ])
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, stats[0], "Channel stats fetched successfully"))
+})
+
+const getChannelVideos = asyncHandler(async (req, res) => {
+    // every video of the creator, published or not, for the studio
+    const videoAggregate = Video.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(req.user._id)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...videoCountStages
+    ])
+
+    const videos = await Video.aggregatePaginate(videoAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"))
+})
+
+
+export {
+    getChannelStats,
+    getChannelVideos
+}
@@ -0,0 +1,182 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Like } from "../models/like.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+
+
+// field is one of "video", "comment", "tweet"
+// if the like exists we remove it, otherwise we create it.
+// two parallel requests can both reach create(), the unique index rejects the second one
+// with duplicate key error (11000) so we treat that as "already liked".
+const toggleLike = async (field, targetId, userId) => {
+    const filter = {
+        [field]: targetId,
+        likedBy: userId
+    }
+
+    const removedLike = await Like.findOneAndDelete(filter)
+
+    if (removedLike) {
+        return { isLiked: false }
+    }
+
+    try {
+        await Like.create(filter)
+    } catch (error) {
+        if (error?.code !== 11000) {
+            throw error
+        }
+    }
+
+    return { isLiked: true }
+}
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video || (!video.isPublished && video.owner?.toString() !== req.user?._id?.toString())) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const result = await toggleLike("video", video._id, req.user?._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, result.isLiked ? "Video liked" : "Video unliked"))
+})
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid commentId")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    const result = await toggleLike("comment", comment._id, req.user?._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, result.isLiked ? "Comment liked" : "Comment unliked"))
+})
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "Invalid tweetId")
+    }
+
+    const tweet = await Tweet.findById(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "Tweet not found")
+    }
+
+    const result = await toggleLike("tweet", tweet._id, req.user?._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, result.isLiked ? "Tweet liked" : "Tweet unliked"))
+})
+
+const getLikedVideos = asyncHandler(async (req, res) => {
+    // all video likes of current user, newest like first, with video and its owner joined
+    const likedVideoAggregate = Like.aggregate([
+        {
+            $match: {
+                likedBy: new mongoose.Types.ObjectId(req.user._id),
+                video: { $exists: true }
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: {
+                                $first: "$owner"
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $unwind: "$video" // drops likes whose video was deleted
+        },
+        {
+            // liked videos that became private stay visible only to their owner (unlisted ones were liked by id, they stay)
+            $match: {
+                $or: [
+                    { "video.isPublished": true },
+                    { "video.owner._id": new mongoose.Types.ObjectId(req.user._id) }
+                ]
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                likedAt: "$createdAt",
+                video: 1
+            }
+        }
+    ])
+
+    const likedVideos = await Like.aggregatePaginate(likedVideoAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, likedVideos, "Liked videos fetched successfully"))
+})
+
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+}
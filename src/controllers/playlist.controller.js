@@ -0,0 +1,229 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Playlist } from "../models/playlist.model.js"
+import { Video } from "../models/video.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+
+
+// finds the playlist and makes sure the current user owns it, used by every write endpoint
+const findOwnedPlaylist = async (playlistId, userId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "Invalid playlistId")
+    }
+
+    const playlist = await Playlist.findById(playlistId)
+
+    if (!playlist) {
+        throw new ApiError(404, "Playlist not found")
+    }
+
+    if (playlist.owner?.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You can only modify your own playlists")
+    }
+
+    return playlist
+}
+
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description } = req.body
+
+    if ([name, description].some((field) => !field?.trim())) {
+        throw new ApiError(400, "Name and description are required")
+    }
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description.trim(),
+        owner: req.user?._id
+    })
+
+    if (!playlist) {
+        throw new ApiError(500, "Something went wrong while creating the playlist")
+    }
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"))
+})
+
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    const playlistAggregate = Playlist.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                updatedAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $addFields: {
+                totalVideos: {
+                    $size: "$videos"
+                }
+            }
+        },
+        {
+            $project: {
+                videos: 0
+            }
+        }
+    ])
+
+    const playlists = await Playlist.aggregatePaginate(playlistAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "User playlists fetched successfully"))
+})
+
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "Invalid playlistId")
+    }
+
+    // populate keeps the order of the videos array, $lookup would not
+    const playlist = await Playlist.findById(playlistId)
+    .populate({
+        path: "videos",
+        select: "-__v",
+        populate: {
+            path: "owner",
+            select: "username fullName avatar"
+        }
+    })
+    .populate("owner", "username fullName avatar")
+
+    if (!playlist) {
+        throw new ApiError(404, "Playlist not found")
+    }
+
+    // other people's unpublished videos are hidden from the viewer
+    const playlistObject = playlist.toObject()
+    playlistObject.videos = playlistObject.videos.filter(
+        (video) => video.isPublished || video.owner?._id?.toString() === req.user?._id?.toString()
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlistObject, "Playlist fetched successfully"))
+})
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const video = await Video.findById(videoId)
+
+    // unpublished videos of other channels can not be added
+    if (!video || (!video.isPublished && video.owner?.toString() !== req.user?._id?.toString())) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    // $addToSet won't add the same video twice so calling it again is harmless
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlistId,
+        {
+            $addToSet: {
+                videos: video._id
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Video added to playlist successfully"))
+})
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlistId,
+        {
+            $pull: {
+                videos: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Video removed from playlist successfully"))
+})
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    await findOwnedPlaylist(playlistId, req.user?._id)
+
+    await Playlist.findByIdAndDelete(playlistId)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"))
+})
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const { name, description } = req.body
+
+    if (!name?.trim() && !description?.trim()) {
+        throw new ApiError(400, "Name or description is required")
+    }
+
+    await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const update = {}
+    if (name?.trim()) update.name = name.trim()
+    if (description?.trim()) update.description = description.trim()
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlistId,
+        {
+            $set: update
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Playlist updated successfully"))
+})
+
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    deletePlaylist,
+    updatePlaylist
+}
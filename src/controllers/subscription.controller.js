@@ -0,0 +1,184 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { User } from "../models/user.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+
+
+// replaces the user id in `userField` ("subscriber" or "channel") with that user's profile,
+// and adds isMutual: whether the reverse subscription (channel -> subscriber) also exists.
+const subscriptionUserStages = (userField) => [
+    // runs before the profile lookup below, that one replaces the subscriber / channel id with an object
+    {
+        $lookup: {
+            from: "subscriptions",
+            let: {
+                subscriber: "$subscriber",
+                channel: "$channel"
+            },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: {
+                            $and: [
+                                { $eq: ["$subscriber", "$$channel"] },
+                                { $eq: ["$channel", "$$subscriber"] }
+                            ]
+                        }
+                    }
+                },
+                {
+                    $project: { _id: 1 }
+                }
+            ],
+            as: "followBack"
+        }
+    },
+    {
+        $lookup: {
+            from: "users",
+            localField: userField,
+            foreignField: "_id",
+            as: userField,
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $unwind: `$${userField}` // drops subscriptions of deleted users
+    },
+    {
+        $addFields: {
+            [`${userField}.isMutual`]: {
+                $gt: [{ $size: "$followBack" }, 0]
+            }
+        }
+    },
+    {
+        $project: {
+            _id: 0,
+            [userField]: 1,
+            subscribedAt: "$createdAt"
+        }
+    }
+]
+
+const toggleSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channelId")
+    }
+
+    if (channelId === req.user?._id?.toString()) {
+        throw new ApiError(400, "You cannot subscribe to your own channel")
+    }
+
+    const channel = await User.findById(channelId).select("_id")
+
+    if (!channel) {
+        throw new ApiError(404, "Channel not found")
+    }
+
+    const filter = {
+        subscriber: req.user?._id,
+        channel: channel._id
+    }
+
+    const removedSubscription = await Subscription.findOneAndDelete(filter)
+
+    if (removedSubscription) {
+        return res
+        .status(200)
+        .json(new ApiResponse(200, { isSubscribed: false }, "Unsubscribed successfully"))
+    }
+
+    try {
+        await Subscription.create(filter)
+    } catch (error) {
+        // unique index, a parallel request already subscribed
+        if (error?.code !== 11000) {
+            throw error
+        }
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully"))
+})
+
+// controller to return subscriber list of a channel
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channelId")
+    }
+
+    const subscriberAggregate = Subscription.aggregate([
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(channelId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...subscriptionUserStages("subscriber")
+    ])
+
+    const subscribers = await Subscription.aggregatePaginate(subscriberAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, subscribers, "Subscribers fetched successfully"))
+})
+
+// controller to return channel list to which user has subscribed
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+    const { subscriberId } = req.params
+
+    if (!isValidObjectId(subscriberId)) {
+        throw new ApiError(400, "Invalid subscriberId")
+    }
+
+    const channelAggregate = Subscription.aggregate([
+        {
+            $match: {
+                subscriber: new mongoose.Types.ObjectId(subscriberId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...subscriptionUserStages("channel")
+    ])
+
+    const channels = await Subscription.aggregatePaginate(channelAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, channels, "Subscribed channels fetched successfully"))
+})
+
+
+export {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+}
@@ -0,0 +1,183 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Tweet } from "../models/tweet.model.js"
+import { User } from "../models/user.model.js"
+import { Like } from "../models/like.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+import { TWEET_MAX_LENGTH } from "../constants.js"
+
+
+// checked here as well as in the schema so the client gets an ApiError instead of a mongoose ValidationError
+const validateTweetContent = (content) => {
+    if (typeof content !== "string" || !content.trim()) {
+        throw new ApiError(400, "Tweet content is required")
+    }
+
+    if (content.trim().length > TWEET_MAX_LENGTH) {
+        throw new ApiError(400, `Tweet content cannot be longer than ${TWEET_MAX_LENGTH} characters`)
+    }
+
+    return content.trim()
+}
+
+const findOwnedTweet = async (tweetId, userId) => {
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "Invalid tweetId")
+    }
+
+    const tweet = await Tweet.findById(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "Tweet not found")
+    }
+
+    if (tweet.owner?.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You can only modify your own tweets")
+    }
+
+    return tweet
+}
+
+const createTweet = asyncHandler(async (req, res) => {
+    const content = validateTweetContent(req.body?.content)
+
+    const tweet = await Tweet.create({
+        content,
+        owner: req.user?._id
+    })
+
+    if (!tweet) {
+        throw new ApiError(500, "Something went wrong while creating the tweet")
+    }
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, tweet, "Tweet created successfully"))
+})
+
+const getUserTweets = asyncHandler(async (req, res) => {
+    // newest first, with owner, number of likes and whether current user liked it
+    const { userId } = req.params
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    const userExists = await User.exists({ _id: userId })
+
+    if (!userExists) {
+        throw new ApiError(404, "User not found")
+    }
+
+    const tweetAggregate = Tweet.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            fullName: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "tweet",
+                as: "likes",
+                pipeline: [
+                    {
+                        $project: { likedBy: 1 }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                },
+                likesCount: {
+                    $size: "$likes"
+                },
+                isLiked: {
+                    $in: [new mongoose.Types.ObjectId(req.user._id), "$likes.likedBy"]
+                }
+            }
+        },
+        {
+            $project: {
+                likes: 0
+            }
+        }
+    ])
+
+    const tweets = await Tweet.aggregatePaginate(tweetAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweets fetched successfully"))
+})
+
+const updateTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const content = validateTweetContent(req.body?.content)
+
+    await findOwnedTweet(tweetId, req.user?._id)
+
+    const updatedTweet = await Tweet.findByIdAndUpdate(
+        tweetId,
+        {
+            $set: {
+                content
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, updatedTweet, "Tweet updated successfully"))
+})
+
+const deleteTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    await findOwnedTweet(tweetId, req.user?._id)
+
+    await Tweet.findByIdAndDelete(tweetId)
+    await Like.deleteMany({ tweet: tweetId })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { tweetId }, "Tweet deleted successfully"))
+})
+
+
+export {
+    createTweet,
+    getUserTweets,
+    updateTweet,
+    deleteTweet
+}
@@ -0,0 +1,360 @@
+import fs from "fs"
+import { Transform } from "stream"
+import { isValidObjectId } from "mongoose"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { Video } from "../models/video.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { storage, uploadFile, deleteFile } from "../utils/storage/index.js"
+import { detectFileMimeTypes } from "../utils/fileType.js"
+import { UPLOAD_SESSION_TTL_MS } from "../constants.js"
+import { enqueueVideoProcessing } from "../jobs/processVideo.job.js"
+
+
+// Resumable uploads, the same idea as the tus protocol (https://tus.io):
+//   POST   /uploads                    -> create a session for a file of fileSize bytes
+//   PATCH  /uploads/:uploadId          -> send the next chunk, Upload-Offset header = where it starts
+//   HEAD   /uploads/:uploadId          -> how many bytes the server has (to resume after a broken connection)
+//   POST   /uploads/:uploadId/finalize -> file is complete: send it to storage and create the video
+//   DELETE /uploads/:uploadId          -> give up and throw the bytes away
+
+// a PATCH that crashed the server must not lock the session forever
+const CHUNK_LOCK_MS = 15 * 60 * 1000
+
+const setUploadHeaders = (res, session) => {
+    res.set({
+        "Upload-Offset": String(session.offset),
+        "Upload-Length": String(session.size),
+        "Upload-Expires": session.expiresAt.toUTCString(),
+        "Cache-Control": "no-store"
+    })
+}
+
+const findOwnedSession = async (uploadId, userId) => {
+    if (!isValidObjectId(uploadId)) {
+        throw new ApiError(400, "Invalid uploadId")
+    }
+
+    const session = await UploadSession.findById(uploadId)
+
+    if (!session) {
+        throw new ApiError(404, "Upload session not found")
+    }
+
+    if (session.owner.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You can only access your own uploads")
+    }
+
+    if (session.expiresAt < new Date()) {
+        throw new ApiError(410, "Upload session has expired")
+    }
+
+    return session
+}
+
+// writes the request body into the session file starting at offset.
+// whatever arrived is kept even when the client disconnects half way, that's the point of resuming.
+const writeChunk = (req, filePath, offset, maxBytes) => new Promise((resolve) => {
+    const output = fs.createWriteStream(filePath, { flags: "r+", start: offset })
+    let received = 0
+    let failure = null
+
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length
+            if (received > maxBytes) {
+                return callback(new ApiError(413, "Chunk goes past the announced file size"))
+            }
+            callback(null, chunk)
+        }
+    })
+
+    const stop = (error) => {
+        if (failure) return
+        failure = error
+
+        req.unpipe(limiter)
+        req.resume()
+        limiter.unpipe(output)
+        output.end() // flush what was written so far
+    }
+
+    limiter.on("error", stop)
+    output.on("error", (error) => {
+        failure = failure || error
+    })
+    req.on("close", () => {
+        if (!req.complete) {
+            stop(new ApiError(400, "Upload was interrupted"))
+        }
+    })
+
+    output.on("close", () => resolve({ bytesWritten: output.bytesWritten, error: failure }))
+
+    req.pipe(limiter).pipe(output)
+})
+
+const createUploadSession = asyncHandler(async (req, res) => {
+    // fields are checked by validate(createUploadSchema) in the route
+    const { fileName, fileSize, mimeType, title, description, visibility, publishAt } = req.body
+
+    const session = await UploadSession.create({
+        owner: req.user._id,
+        fileName,
+        mimeType,
+        size: fileSize,
+        title,
+        description,
+        visibility,
+        publishAt: publishAt ?? undefined,
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    })
+
+    // empty file, the chunks are written into it at their offsets
+    await fs.promises.writeFile(session.getFilePath(), "")
+
+    setUploadHeaders(res, session)
+
+    return res
+    .status(201)
+    .location(`${req.baseUrl}/${session._id}`)
+    .json(new ApiResponse(201, session, "Upload session created successfully"))
+})
+
+const getUploadOffset = asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req.params.uploadId, req.user._id)
+
+    setUploadHeaders(res, session)
+
+    return res.status(200).end()
+})
+
+const uploadChunk = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+
+    if (!req.is("application/offset+octet-stream")) {
+        throw new ApiError(415, "Content-Type must be application/offset+octet-stream")
+    }
+
+    const uploadOffset = Number(req.get("Upload-Offset"))
+
+    if (!Number.isInteger(uploadOffset) || uploadOffset < 0) {
+        throw new ApiError(400, "Upload-Offset header is required")
+    }
+
+    const session = await findOwnedSession(uploadId, req.user._id)
+
+    if (session.status !== "uploading") {
+        throw new ApiError(409, "Upload is already finalized")
+    }
+
+    if (uploadOffset !== session.offset) {
+        setUploadHeaders(res, session)
+        throw new ApiError(409, `Upload-Offset does not match, the upload is at ${session.offset}`)
+    }
+
+    // taking the lock only works if nobody else holds it and the offset hasn't moved meanwhile
+    const now = new Date()
+    const lockedSession = await UploadSession.findOneAndUpdate(
+        {
+            _id: uploadId,
+            status: "uploading",
+            offset: uploadOffset,
+            $or: [
+                { lockedUntil: null },
+                { lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                lockedUntil: new Date(now.getTime() + CHUNK_LOCK_MS)
+            }
+        },
+        { new: true }
+    )
+
+    if (!lockedSession) {
+        throw new ApiError(409, "Another chunk of this upload is being written")
+    }
+
+    const { bytesWritten, error } = await writeChunk(
+        req,
+        session.getFilePath(),
+        uploadOffset,
+        session.size - uploadOffset
+    )
+
+    // every chunk gives the session another full TTL
+    const updatedSession = await UploadSession.findByIdAndUpdate(
+        uploadId,
+        {
+            $set: {
+                offset: uploadOffset + bytesWritten,
+                expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+            },
+            $unset: {
+                lockedUntil: 1
+            }
+        },
+        { new: true }
+    )
+
+    setUploadHeaders(res, updatedSession)
+
+    if (error) {
+        throw error instanceof ApiError ? error : new ApiError(500, "Could not write the chunk")
+    }
+
+    return res.status(204).end()
+})
+
+const finalizeUpload = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    const thumbnailLocalPath = req.file?.path
+
+    const session = await findOwnedSession(uploadId, req.user._id)
+
+    if (session.status === "completed") {
+        throw new ApiError(409, "Upload is already finalized")
+    }
+
+    if (session.offset !== session.size) {
+        setUploadHeaders(res, session)
+        throw new ApiError(409, `Upload is not complete, ${session.offset} of ${session.size} bytes received`)
+    }
+
+    // only one finalize may run, and never while a chunk is still being written.
+    // everything that touches the file comes after this, so nothing is pulled away from another request
+    const claimedSession = await UploadSession.findOneAndUpdate(
+        {
+            _id: uploadId,
+            status: "uploading",
+            offset: session.size,
+            $or: [
+                { lockedUntil: null },
+                { lockedUntil: { $lt: new Date() } }
+            ]
+        },
+        {
+            $set: {
+                status: "finalizing",
+                expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+            }
+        },
+        { new: true }
+    )
+
+    if (!claimedSession) {
+        throw new ApiError(409, "Upload is already being finalized")
+    }
+
+    const filePath = claimedSession.getFilePath()
+
+    const releaseSession = () => UploadSession.updateOne({ _id: uploadId }, { $set: { status: "uploading" } })
+
+    // same magic byte check as the multipart upload. a wrong file can't become right by retrying,
+    // the claimed session goes away with it
+    let detectedTypes
+    try {
+        detectedTypes = await detectFileMimeTypes(filePath)
+    } catch (error) {
+        await releaseSession()
+        throw error
+    }
+
+    if (!detectedTypes.includes(claimedSession.mimeType)) {
+        await UploadSession.deleteOne({ _id: uploadId, status: "finalizing" })
+        await fs.promises.rm(filePath, { force: true })
+        throw new ApiError(415, `Uploaded file is not a ${claimedSession.mimeType} file`)
+    }
+
+    // anything failing after the claim puts the session back to "uploading" and removes what was
+    // already stored, so the client can call finalize again. the assembled file is only deleted once
+    // everything went through
+    let videoFile = null
+    let thumbnail = null
+    let video = null
+    try {
+        // storage.upload and not uploadFile: on a failure the assembled file stays for the retry
+        try {
+            videoFile = await storage.upload(filePath, { folder: "videos", resourceType: "video" })
+        } catch (error) {
+            console.log("Error uploading file to storage:", error)
+            throw new ApiError(400, "Error while uploading video file")
+        }
+
+        // thumbnail is optional, the processing job makes one from the video
+        if (thumbnailLocalPath) {
+            thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+
+            if (!thumbnail) {
+                throw new ApiError(400, "Error while uploading thumbnail")
+            }
+        }
+
+        video = await Video.create({
+            title: session.title,
+            description: session.description,
+            videoFile: videoFile.url,
+            videoFileAssetId: videoFile.assetId,
+            thumbnail: thumbnail?.url,
+            thumbnailAssetId: thumbnail?.assetId,
+            processingStatus: "pending",
+            // a publishAt that passed while uploading is picked up by the scheduler right away
+            ...Video.visibilityFields(session.visibility ?? (session.publishAt ? "private" : "public")),
+            publishAt: session.publishAt,
+            owner: req.user._id
+        })
+
+        await enqueueVideoProcessing(video._id)
+
+        await UploadSession.updateOne(
+            { _id: uploadId },
+            {
+                $set: {
+                    status: "completed",
+                    video: video._id
+                }
+            }
+        )
+    } catch (error) {
+        if (video) {
+            await Video.deleteOne({ _id: video._id }).catch((err) => console.log("Error deleting video:", err))
+        }
+        await deleteFile(videoFile?.assetId)
+        await deleteFile(thumbnail?.assetId)
+        await releaseSession().catch((err) => console.log("Error releasing upload session:", err))
+        throw error
+    }
+
+    await fs.promises.rm(filePath, { force: true })
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, video, "Video uploaded successfully"))
+})
+
+const cancelUpload = asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req.params.uploadId, req.user._id)
+
+    if (session.status === "finalizing") {
+        throw new ApiError(409, "Upload is being finalized")
+    }
+
+    await UploadSession.deleteOne({ _id: session._id })
+    await fs.promises.rm(session.getFilePath(), { force: true })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { uploadId: session._id }, "Upload cancelled successfully"))
+})
+
+
+export {
+    createUploadSession,
+    getUploadOffset,
+    uploadChunk,
+    finalizeUpload,
+    cancelUpload
+}
@@ -1,57 +1,219 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js"
 import { User} from "../models/user.model.js"
-import {uploadOnCloudinary,deleteFromCloudinary} from "../utils/cloudinary.js"
+import crypto from "crypto"
+import { Session } from "../models/session.model.js"
+import { SecurityEvent } from "../models/securityEvent.model.js"
+import { uploadFile, deleteFile, getAssetId } from "../utils/storage/index.js"
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken"
 import mongoose from "mongoose";
-import path from 'path';
+import { getClientInfo } from "../utils/clientInfo.js";
+import { sendMail } from "../utils/mailer.js";
+import { emailVerificationMail, passwordResetMail } from "../utils/mailTemplates.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
 
 
-const generateAccessAndRefereshTokens = async(userId) =>{
+// login -> no session passed, a new session (device / token family) is created
+// refresh -> existing session passed, its refresh token is rotated
+const generateAccessAndRefereshTokens = async(userId, req, session = null) =>{
     try {
         const user = await User.findById(userId)
-        console.log("Found user:", user); // Add this
-        
-        const accessToken = user.generateAccessToken()
-        console.log("Generated access token:", accessToken); // Add this
-        
-        const refreshToken = user.generateRefreshToken()
-        console.log("Generated refresh token:", refreshToken); // Add this
+        console.log("Found user:", user._id); // Add this
+
+        const clientInfo = getClientInfo(req)
+        const previousRefreshTokenHash = session?.refreshTokenHash
+
+        if (!session) {
+            session = new Session({
+                user: user._id,
+                ...clientInfo
+            })
+        }
         
-        user.refreshToken = refreshToken
-        console.log("we updated the new refresh token in database")
-        await user.save({ validateBeforeSave: false })
-        //using validate:flase becuas every filed will start getting validated and here we are just passing refresh token.
-        console.log("we have now saved the new value of refrsh token in database")
+        const accessToken = user.generateAccessToken(session._id)
+        const refreshToken = user.generateRefreshToken(session._id)
+        const decodedAccessToken = jwt.decode(accessToken)
+
+        // only the hash is stored, a leaked database doesn't leak usable refresh tokens
+        const tokenFields = {
+            refreshTokenHash: Session.hashToken(refreshToken),
+            ip: clientInfo.ip,
+            lastUsedAt: new Date(),
+            expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+        }
+        const issuedAccessToken = {
+            jti: decodedAccessToken.jti,
+            expiresAt: new Date(decodedAccessToken.exp * 1000)
+        }
+
+        if (session.isNew) {
+            session.set(tokenFields)
+            session.accessTokens = [issuedAccessToken]
+            await session.save()
+        } else {
+            // rotate only if nobody rotated it since we read it, two requests can't both use the same refresh token
+            const rotatedSession = await Session.findOneAndUpdate(
+                {
+                    _id: session._id,
+                    refreshTokenHash: previousRefreshTokenHash,
+                    revokedAt: null
+                },
+                [
+                    {
+                        $set: {
+                            ...tokenFields,
+                            accessTokens: {//forget access tokens which already expired, add the new one
+                                $concatArrays: [
+                                    {
+                                        $filter: {
+                                            input: "$accessTokens",
+                                            as: "token",
+                                            cond: { $gt: ["$$token.expiresAt", "$$NOW"] }
+                                        }
+                                    },
+                                    [issuedAccessToken]
+                                ]
+                            }
+                        }
+                    }
+                ]
+            )
+
+            if (!rotatedSession) {
+                throw new ApiError(401, "Refresh token is expired or used")
+            }
+        }
+        console.log("we have now saved the new refresh token of this session in database")
         return {accessToken, refreshToken}
 // The {} creates an object with the tokens as properties.
 
     } catch (error) {
+        if (error instanceof ApiError) {
+            throw error
+        }
         throw new ApiError(500, "Something went wrong while generating referesh and access token")
     }
 }
 
+// sets the auth cookies and sends the usual login response, used by password login and 2FA login
+const sendLoginResponse = async (req, res, userId) => {
+    const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(userId, req)
+
+    const loggedInUser = await User.findById(userId).select("-password")
+    console.log("here is the final logged in user after generating refresh token",loggedInUser)
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    // .cookie() sets HTTP cookies in the user's browser. It's a way to store data on the client side that gets automatically sent back with future requests.
+    .cookie("refreshToken", refreshToken, options)
+
+    
+    .json(
+        new ApiResponse(
+            200, 
+            {
+                user: loggedInUser, accessToken, refreshToken
+            },
+            "User logged In Successfully"
+        )
+    )
+}
+
+const hashRecoveryCode = (code) => {
+    const normalizedCode = String(code).toLowerCase().replace(/[^a-f0-9]/g, "")
+    return crypto.createHash("sha256").update(normalizedCode).digest("hex")
+}
+
+// 10 codes like "3f9a1-c07be", shown to the user only once
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(5).toString("hex")
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    })
+
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode)
+    }
+}
+
+// checks a TOTP code or a recovery code of a user with 2FA enabled.
+// both checks are single atomic updates: a TOTP code can't be accepted twice
+// and a recovery code is removed in the same write that accepts it.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const recoveryCodeHash = hashRecoveryCode(recoveryCode)
+        const result = await User.updateOne(
+            { _id: userId, twoFactorRecoveryCodes: recoveryCodeHash },
+            { $pull: { twoFactorRecoveryCodes: recoveryCodeHash } }
+        )
+        return result.modifiedCount === 1
+    }
+
+    const user = await User.findById(userId).select("+twoFactorSecret")
+
+    if (!user?.twoFactorSecret) {
+        return false
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code)
+
+    if (step === null) {
+        return false
+    }
+
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { twoFactorLastUsedStep: { $exists: false } },
+                { twoFactorLastUsedStep: { $lt: step } }
+            ]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+    )
+    return result.modifiedCount === 1
+}
+
+// user has to be a full document (not lean), token id is saved on it
+const sendVerificationEmail = async (user) => {
+    const token = user.generateEmailVerificationToken()
+    await user.save({ validateBeforeSave: false })
+
+    const link = `${process.env.CLIENT_URL || process.env.CORS_ORIGIN}/verify-email?token=${encodeURIComponent(token)}`
+
+    await sendMail({
+        to: user.email,
+        ...emailVerificationMail({
+            fullName: user.fullName,
+            link,
+            expiresIn: process.env.EMAIL_VERIFICATION_EXPIRY || "1d"
+        })
+    })
+}
+
 const registerUser = asyncHandler( async (req, res) => {
     // get user details from frontend
     // validation - not empty
     // check if user already exists: username, email
     // check for images, check for avatar
-    // upload them to cloudinary, avatar
+    // upload them to the storage provider, avatar
     // create user object - create entry in db
     // remove password and refresh token field from response
     // check for user creation
     // return res
 
 
+    // fields are already checked (present, trimmed, valid email...) by validate(registerSchema) in the route
     const {fullName, email, username, password } = req.body
     console.log("email: ", email);
-///on ptinting passwod it should be empty.
-    if (
-        [fullName, email, username, password].some((field) => field?.trim() === "")
-    ) {
-        throw new ApiError(400, "All fields are required")
-    }
 //check whther someoe has taken that username and email
     const existedUser = await User.findOne({
         $or: [{ username }, { email }]
@@ -63,33 +225,18 @@ const registerUser = asyncHandler( async (req, res) => {
     }
     console.log("request.files",req.files);
 
-    const avatarFilePath = req.files && Array.isArray(req.files.avatar) && req.files.avatar.length > 0
-    ? req.files.avatar[0].path
-    : null;
-
-    //const coverImageLocalPath = req.files?.coverImage[0]?.path;
-    // console.log("your avatarFilePath is: ",avatarLocalPath)
-
-    const absoluteAvatarPath = path.resolve(avatarFilePath);//it always return string even undefiend in string.
-    console.log("this is the absolute path of avatar",absoluteAvatarPath)
+    const avatarLocalPath = req.files?.avatar?.[0]?.path
+    const coverImageLocalPath = req.files?.coverImage?.[0]?.path
 
-    let coverImageLocalPath;
-    if (req.files && Array.isArray(req.files.coverImage) && req.files.coverImage.length > 0) {
-        coverImageLocalPath = req.files.coverImage[0].path
-    }
-    
-    const absoluteCoverImagePath = path.resolve(coverImageLocalPath)
-    console.log("this is the absolute path of cover image",absoluteCoverImagePath)
-
-    if (!absoluteAvatarPath) {
-        throw new ApiError(400, "Avatar file path is required")
+    if (!avatarLocalPath) {
+        throw new ApiError(400, "Avatar file is required")
     }
 
-    const avatar = await uploadOnCloudinary(absoluteAvatarPath)
-    console.log("here is the avatar=====",avatar)
-    const coverImage = await uploadOnCloudinary(absoluteCoverImagePath)
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars", resourceType: "image" })
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images", resourceType: "image" })
 
     if (!avatar) {
+        await deleteFile(coverImage?.assetId)
         throw new ApiError(400, "Avatar file is not uploaded")
     }
    
@@ -97,20 +244,29 @@ const registerUser = asyncHandler( async (req, res) => {
     const user = await User.create({
         fullName,
         avatar: avatar.url,
+        avatarAssetId: avatar.assetId,
         coverImage: coverImage?.url || "",
+        coverImageAssetId: coverImage?.assetId,
         email, 
         password,
         username: username.toLowerCase()
     })
     console.log("this is newly created row in database",user)
     const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
+        "-password"
     )
 
     if (!createdUser) {
         throw new ApiError(500, "Something went wrong while registering the user")
     }
 
+    // account is created even if the mail fails, user can ask for it again with /resend-verification
+    try {
+        await sendVerificationEmail(user)
+    } catch (error) {
+        console.log("❌ could not send verification email:", error)
+    }
+
     return res.status(201).json(
         new ApiResponse(200, createdUser, "User registered Successfully")
     )
@@ -132,78 +288,155 @@ const loginUser = asyncHandler(async (req, res) =>{
 
     const {email, username, password} = req.body
     // since we are sending json,it will be available.
+    // validate(loginSchema) already made sure there is a password and a username or email
     console.log(email);
 
-    if (!username && !email) {
-        throw new ApiError(400, "username or email is required")
-    }
-    
-    // Here is an alternative of above code based on logic discussed in video:
-    // if (!(username || email)) {
-    //     throw new ApiError(400, "username or email is required")
-        
-    // }
-
     const user = await User.findOne({//findone will find first instance of that.
         // we need to find username and email in dadtabase to validate that user has registered.
         $or: [{username}, {email}]
-    })
-    console.log("this is the user._id", user._id)
+    }).select("+failedLoginAttempts +lockUntil")
+    console.log("this is the user._id", user?._id)
 
     if (!user) {
         throw new ApiError(404, "User does not exist! Please register First ✌️")
     }
 
+    // locked accounts are refused before the password is even checked
+    if (user.isLocked()) {
+        res.set("Retry-After", String(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)))
+        throw new ApiError(429, "Account is temporarily locked because of too many failed login attempts, try again later")
+    }
+
    const isPasswordValid = await user.isPasswordCorrect(password)
    //small user because here we are applying method to instance of that User model.
    // we have created method for user.schema in models.js so therfore we can use that method in user object.
 
    if (!isPasswordValid) {
+    const lockUntil = await user.registerFailedLogin()
+
+    if (lockUntil) {
+        await SecurityEvent.create({
+            user: user._id,
+            type: "account_locked",
+            ...getClientInfo(req),
+            details: { lockUntil }
+        })
+        res.set("Retry-After", String(Math.ceil((lockUntil.getTime() - Date.now()) / 1000)))
+        throw new ApiError(429, "Too many failed login attempts, account is temporarily locked")
+    }
+
     throw new ApiError(401, "Invalid user credentials, Wrong Password!!!!!!")
     }
 
-   const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id)
+    if (user.isSuspended) {
+        throw new ApiError(403, "Your account has been suspended")
+    }
 
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
-    console.log("here is the final logged in user after generating refresh token",loggedInUser)
+    // with 2FA the password alone is not enough, client has to call /login/2fa with this challenge and a code.
+    // failed attempts are only reset once the code was right too, wrong codes count towards the same lock
+    if (user.twoFactorEnabled) {
+        const challengeToken = user.generateTwoFactorChallengeToken()
+        await user.save({ validateBeforeSave: false })
 
-    const options = {
-        httpOnly: true,
-        secure: true
+        return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken
+                },
+                "Two factor authentication code required"
+            )
+        )
     }
 
-    return res
-    .status(200)
-    .cookie("accessToken", accessToken, options)
-    // .cookie() sets HTTP cookies in the user's browser. It's a way to store data on the client side that gets automatically sent back with future requests.
-    .cookie("refreshToken", refreshToken, options)
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+        await user.resetFailedLogins()
+    }
 
-    
-    .json(
-        new ApiResponse(
-            200, 
-            {
-                user: loggedInUser, accessToken, refreshToken
-            },
-            "User logged In Successfully"
-        )
-    )
+    return await sendLoginResponse(req, res, user._id)
 
 })
 
-const logoutUser = asyncHandler(async(req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1 // this removes the field from document
-            }
-        },
-        {
-            new: true
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const {challengeToken, code, recoveryCode} = req.body
+
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET)
+    } catch (error) {
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    if (decodedToken?.purpose !== "two_factor_login") {
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    const user = await User.findById(decodedToken._id).select("+twoFactorChallengeId +failedLoginAttempts +lockUntil")
+
+    // only the latest challenge, and only until it was used
+    if (!user?.twoFactorEnabled || !decodedToken.jti || user.twoFactorChallengeId !== decodedToken.jti) {
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    if (user.isLocked()) {
+        res.set("Retry-After", String(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)))
+        throw new ApiError(429, "Account is temporarily locked because of too many failed login attempts, try again later")
+    }
+
+    const isSecondFactorValid = await verifySecondFactor(user._id, { code, recoveryCode })
+
+    if (!isSecondFactorValid) {
+        // wrong codes count like wrong passwords
+        const lockUntil = await user.registerFailedLogin()
+
+        if (lockUntil) {
+            // the challenge dies with the lock, after it a new password login is needed
+            await User.updateOne({ _id: user._id }, { $unset: { twoFactorChallengeId: 1 } })
+            await SecurityEvent.create({
+                user: user._id,
+                type: "account_locked",
+                ...getClientInfo(req),
+                details: { lockUntil }
+            })
+            res.set("Retry-After", String(Math.ceil((lockUntil.getTime() - Date.now()) / 1000)))
+            throw new ApiError(429, "Too many failed login attempts, account is temporarily locked")
         }
+
+        throw new ApiError(401, "Invalid two factor authentication code")
+    }
+
+    // use the challenge up, a parallel request with the same token gets nothing
+    const claimed = await User.updateOne(
+        { _id: user._id, twoFactorChallengeId: decodedToken.jti },
+        { $unset: { twoFactorChallengeId: 1 } }
     )
 
+    if (!claimed.modifiedCount) {
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+        await user.resetFailedLogins()
+    }
+
+    return await sendLoginResponse(req, res, user._id)
+})
+
+const logoutUser = asyncHandler(async(req, res) => {
+    // only this device is logged out, other sessions keep working
+    const session = await Session.findOne({
+        _id: req.sessionId,
+        user: req.user._id,
+        revokedAt: null
+    })
+
+    if (session) {
+        await session.revoke("logout")
+    }
+
     const options = {
         httpOnly: true,
         secure: true
@@ -232,16 +465,53 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         )
         console.log("your refresh token matched===",decodedToken)
     
+        if (!mongoose.isValidObjectId(decodedToken?.sid)) {
+            throw new ApiError(401, "Invalid refresh token")
+        }
+
         const user = await User.findById(decodedToken?._id)
-        console.log("here is the user we found with your refresh token",user)
+        console.log("here is the user we found with your refresh token",user?._id)
     
         if (!user) {
             throw new ApiError(401, "Invalid refresh token")
         }
+
+        if (user.isSuspended) {
+            throw new ApiError(403, "Your account has been suspended")
+        }
+
+        const session = await Session.findOne({
+            _id: decodedToken.sid,
+            user: user._id
+        })
     
-        if (incomingRefreshToken !== user?.refreshToken) {
+        if (!session) {
             throw new ApiError(401, "Refresh token is expired or used")
-            
+        }
+
+        // signature is valid and it belongs to this family, but it is not the latest token:
+        // it was already rotated, so somebody is replaying it. Kill the whole family.
+        if (!session.isRefreshTokenValid(incomingRefreshToken)) {
+            await SecurityEvent.create({
+                user: user._id,
+                type: "refresh_token_reuse",
+                session: session._id,
+                ...getClientInfo(req),
+                details: {
+                    jti: decodedToken.jti,
+                    familyAlreadyRevoked: Boolean(session.revokedAt)
+                }
+            })
+
+            if (!session.revokedAt) {
+                await session.revoke("refresh_token_reuse")
+            }
+
+            throw new ApiError(401, "Refresh token reuse detected, please login again")
+        }
+
+        if (session.revokedAt) {
+            throw new ApiError(401, "Session has been revoked, please login again")
         }
     
         const options = {
@@ -249,7 +519,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             secure: true
         }
     
-        const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id)
+        const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id, req, session)
         const newRefreshToken= refreshToken
         console.log("here is the accessTOken=>",accessToken)
         console.log("here is the newrefreshToken",newRefreshToken)
@@ -266,6 +536,10 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             )
         )
     } catch (error) {
+        // jwt errors (expired, bad signature) are turned into 401s by the error handler
+        if (error instanceof ApiError || error instanceof jwt.JsonWebTokenError) {
+            throw error
+        }
         throw new ApiError(401, error?.message || "Invalid refresh token")
     }
 
@@ -305,9 +579,7 @@ const getCurrentUser = asyncHandler(async(req, res) => {
 const updateAccountDetails = asyncHandler(async(req, res) => {
     const {fullName, email} = req.body
 
-    if (!fullName || !email) {
-        throw new ApiError(400, "All fields are required")
-    }
+    const emailChanged = email !== req.user?.email?.toLowerCase()
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
@@ -315,12 +587,22 @@ const updateAccountDetails = asyncHandler(async(req, res) => {
             $set: {//these are called operators.
                 fullName:fullName,
                 email: email,
+                // new address has to be verified again
+                ...(emailChanged && { isEmailVerified: false })
             }
         },
         {new: true}//means return updeated statement
         
     ).select("-password")
 
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(user)
+        } catch (error) {
+            console.log("❌ could not send verification email:", error)
+        }
+    }
+
     return res
     .status(200)
     .json(new ApiResponse(200, user, "Account details updated successfully"))
@@ -336,15 +618,9 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Avatar file is missing")
     }
 
-    //TODO: delete old image - assignment,first we have to old delete image from cloudinary 
-     const result = await deleteFromCloudinary(req.user.avatar)
-     console.log("your operation is successfull",result)
-
-//updating new avatar in cloudinary //
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    console.log("the object we got from cloudinary",avatar)
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars", resourceType: "image" })
 
-    if (!avatar.url) {
+    if (!avatar) {
         throw new ApiError(400, "Error while uploading on avatar")
         
     }
@@ -353,12 +629,16 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         req.user?._id,
         {
             $set:{
-                avatar: avatar.url
+                avatar: avatar.url,
+                avatarAssetId: avatar.assetId
             }
         },
         {new: true}
     ).select("-password")
 
+    // old image is removed only once the new one is saved, so a failed upload keeps the old avatar
+    await deleteFile(getAssetId(req.user.avatarAssetId, req.user.avatar))
+
     return res
     .status(200)
     .json(
@@ -376,17 +656,10 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Cover image file is missing")
     }
 
-     //TODO: delete old image - assignment,first we have to old delete image from cloudinary 
-     const result = await deleteFromCloudinary(req.user.coverImage)
-     console.log("your operation is successfull",result)
-
-
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images", resourceType: "image" })
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
-    console.log("the object we got from cloudinary",coverImage)
-
-    if (!coverImage.url) {
-        throw new ApiError(400, "Error while uploading on avatar")
+    if (!coverImage) {
+        throw new ApiError(400, "Error while uploading on cover image")
         
     }
 
@@ -394,12 +667,15 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         req.user?._id,
         {
             $set:{
-                coverImage: coverImage.url
+                coverImage: coverImage.url,
+                coverImageAssetId: coverImage.assetId
             }
         },
         {new: true}
     ).select("-password")
 
+    await deleteFile(getAssetId(req.user.coverImageAssetId, req.user.coverImage))
+
     return res
     .status(200)
     .json(
@@ -411,10 +687,6 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
 const getUserChannelProfile = asyncHandler(async(req, res) => {
     const {username} = req.params
 
-    if (!username?.trim()) {
-        throw new ApiError(400, "username is missing")
-    }
-
     const channel = await User.aggregate([//aggregate pipleine returns array.
         {
             $match: {
@@ -444,6 +716,25 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
             }
             // Purpose: Find all subscriptions where this user is the subscriber (channels this user subscribed TO)
         },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "owner",
+                as: "videos",
+                pipeline: [
+                    {
+                        $match: {// visitors count the public videos, the owner all of them
+                            $or: [
+                                { visibility: "public" },
+                                { owner: new mongoose.Types.ObjectId(req.user._id) }
+                            ]
+                        }
+                    },
+                    { $count: "count" }
+                ]
+            }
+        },
         {
             $addFields: {//to add new filed sinto document.
                 subscribersCount: {
@@ -452,6 +743,9 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
                 channelsSubscribedToCount: {
                     $size: "$subscribedTo"
                 },
+                videosCount: {
+                    $ifNull: [{ $first: "$videos.count" }, 0]
+                },
                 isSubscribed: {
                     $cond: {//cond is conditional operator.
                         if: {$in: [req.user?._id, "$subscribers.subscriber"]},
@@ -474,6 +768,7 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
                 username: 1,
                 subscribersCount: 1,
                 channelsSubscribedToCount: 1,
+                videosCount: 1,
                 isSubscribed: 1,
                 avatar: 1,
                 coverImage: 1,
@@ -506,6 +801,11 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                 _id: new mongoose.Types.ObjectId(req.user._id)
             }
         },
+        {
+            $addFields: {
+                historyOrder: "$watchHistory" // keep the ids, $lookup does not keep the order of the array
+            }
+        },
         {
             $lookup: {
                 // When you do a $lookup operation, MongoDB always returns an array, even when there's only one matching document.
@@ -515,6 +815,14 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                 as: "watchHistory",
                 pipeline: [ 
                     // parameter means each video document will be further processed:
+                    {
+                        $match: {//private videos (isPublished false) only for their owner, unlisted ones stay: they were opened by id
+                            $or: [
+                                { isPublished: true },
+                                { owner: new mongoose.Types.ObjectId(req.user._id) }
+                            ]
+                        }
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -541,6 +849,31 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                     }
                 ]
             }
+        },
+        {
+            $addFields: {//put videos back in history order, most recently watched first
+                watchHistory: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$historyOrder",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$watchHistory",
+                                            as: "video",
+                                            cond: { $eq: ["$$video._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        as: "video",
+                        cond: { $ne: [{ $ifNull: ["$$video", null] }, null] }
+                    }
+                }
+            }
         }
     ])
 
@@ -555,6 +888,350 @@ const getWatchHistory = asyncHandler(async(req, res) => {
     )
 })
 
+const removeFromWatchHistory = asyncHandler(async(req, res) => {
+    const {videoId} = req.params
+
+    const user = await User.findByIdAndUpdate(
+        req.user?._id,
+        {
+            $pull: {
+                watchHistory: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        {new: true}
+    ).select("watchHistory")
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user.watchHistory, "Video removed from watch history"))
+})
+
+const clearWatchHistory = asyncHandler(async(req, res) => {
+    await User.findByIdAndUpdate(
+        req.user?._id,
+        {
+            $set: {
+                watchHistory: []
+            }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, [], "Watch history cleared"))
+})
+
+const verifyEmail = asyncHandler(async(req, res) => {
+    const {token} = req.body
+
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(token, process.env.EMAIL_VERIFICATION_SECRET)
+    } catch (error) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    if (decodedToken?.purpose !== "email_verification" || !decodedToken?.jti) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    // single use: the token id is removed in the same update that verifies the email
+    const user = await User.findOneAndUpdate(
+        {
+            _id: decodedToken._id,
+            email: decodedToken.email,
+            emailVerificationTokenId: decodedToken.jti
+        },
+        {
+            $set: {
+                isEmailVerified: true
+            },
+            $unset: {
+                emailVerificationTokenId: 1
+            }
+        },
+        {new: true}
+    ).select("-password")
+
+    if (!user) {
+        throw new ApiError(400, "Verification link is invalid or has already been used")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"))
+})
+
+const resendVerificationEmail = asyncHandler(async(req, res) => {
+    const user = await User.findById(req.user?._id)
+
+    if (user.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    // don't let one account flood an inbox
+    const RESEND_INTERVAL_MS = 60 * 1000
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < RESEND_INTERVAL_MS) {
+        throw new ApiError(429, "Verification email was sent recently, please wait a minute before trying again")
+    }
+
+    await sendVerificationEmail(user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"))
+})
+
+// the slow part of forgotPassword (token write + smtp), run after the response went out
+const sendPasswordResetMail = async (user) => {
+    const resetToken = user.generatePasswordResetToken()
+    await user.save({ validateBeforeSave: false })
+
+    const link = `${process.env.CLIENT_URL || process.env.CORS_ORIGIN}/reset-password?token=${resetToken}`
+
+    try {
+        await sendMail({
+            to: user.email,
+            ...passwordResetMail({
+                fullName: user.fullName,
+                link,
+                expiresInMinutes: Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 15
+            })
+        })
+    } catch (error) {
+        // the token nobody received is dropped
+        console.log("❌ could not send password reset email:", error)
+        await User.updateOne(
+            { _id: user._id },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+        )
+    }
+}
+
+const forgotPassword = asyncHandler(async(req, res) => {
+    const {email} = req.body
+
+    // same answer whether the account exists or not, so this can't be used to find registered emails.
+    // same timing too: the answer goes out before the mail is sent, a known email would be slower otherwise
+    const genericResponse = new ApiResponse(200, {}, "If an account exists for this email, a password reset link has been sent")
+
+    const user = await User.findOne({ email })
+
+    res.status(200).json(genericResponse)
+
+    if (user) {
+        sendPasswordResetMail(user).catch((error) => console.log("❌ password reset failed:", error))
+    }
+})
+
+const resetPassword = asyncHandler(async(req, res) => {
+    const {token, newPassword} = req.body
+
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex")
+
+    // claiming the token removes it in the same write, so it works only once even with parallel requests
+    const user = await User.findOneAndUpdate(
+        {
+            passwordResetTokenHash: tokenHash,
+            passwordResetExpiresAt: { $gt: new Date() }
+        },
+        {
+            $unset: {
+                passwordResetTokenHash: 1,
+                passwordResetExpiresAt: 1
+            }
+        },
+        {new: true}
+    )
+
+    if (!user) {
+        throw new ApiError(400, "Password reset link is invalid or has expired")
+    }
+
+    user.password = newPassword
+    await user.save({validateBeforeSave: false})//pre("save") hook hashes the new password
+
+    // whoever knew the old password may still be logged in somewhere
+    const revokedSessions = await Session.revokeAllForUser(user._id, "password_reset")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, { revokedSessions }, "Password has been reset, please login again"))
+})
+
+const setupTwoFactor = asyncHandler(async(req, res) => {
+    if (req.user.twoFactorEnabled) {
+        throw new ApiError(400, "Two factor authentication is already enabled")
+    }
+
+    // not active until confirmed with a first code, calling setup again just replaces the pending secret
+    const secret = generateTotpSecret()
+
+    await User.findByIdAndUpdate(req.user._id, {
+        $set: {
+            twoFactorPendingSecret: secret
+        }
+    })
+
+    const otpauthUri = buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "VideoTube"
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { secret, otpauthUri }, "Scan the QR code and confirm with a code from your app"))
+})
+
+const confirmTwoFactor = asyncHandler(async(req, res) => {
+    const {code} = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret")
+
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, "Two factor authentication is already enabled")
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new ApiError(400, "Start two factor setup first")
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code)
+
+    if (step === null) {
+        throw new ApiError(400, "Invalid code, check the time on your device and try again")
+    }
+
+    const {codes, hashes} = generateRecoveryCodes()
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: {
+            twoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorRecoveryCodes: hashes,
+            twoFactorLastUsedStep: step
+        },
+        $unset: {
+            twoFactorPendingSecret: 1
+        }
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two factor authentication enabled, save your recovery codes, they are shown only once"
+    ))
+})
+
+const disableTwoFactor = asyncHandler(async(req, res) => {
+    const {password, code, recoveryCode} = req.body
+
+    const user = await User.findById(req.user._id)
+
+    if (!user.twoFactorEnabled) {
+        throw new ApiError(400, "Two factor authentication is not enabled")
+    }
+
+    if (!(await user.isPasswordCorrect(password))) {
+        throw new ApiError(401, "Invalid password")
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+        throw new ApiError(401, "Invalid two factor authentication code")
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: {
+            twoFactorEnabled: false
+        },
+        $unset: {
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorRecoveryCodes: 1,
+            twoFactorLastUsedStep: 1
+        }
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two factor authentication disabled"))
+})
+
+const getSessions = asyncHandler(async(req, res) => {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null })
+    .select("-refreshTokenHash -accessTokens -revokedAt")
+    .sort({ lastUsedAt: -1 })
+    .lean()
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        sessions.map((session) => ({
+            ...session,
+            isCurrent: session._id.toString() === req.sessionId?.toString()
+        })),
+        "Sessions fetched successfully"
+    ))
+})
+
+const revokeSession = asyncHandler(async(req, res) => {
+    const {sessionId} = req.params
+
+    const session = await Session.findOne({
+        _id: sessionId,
+        user: req.user._id, //users can only revoke their own sessions
+        revokedAt: null
+    })
+
+    if (!session) {
+        throw new ApiError(404, "Session not found")
+    }
+
+    await session.revoke("revoked_by_user")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    // revoking the session we are using right now is the same as logout
+    if (sessionId === req.sessionId?.toString()) {
+        res
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { sessionId }, "Session revoked successfully"))
+})
+
+const logoutAllSessions = asyncHandler(async(req, res) => {
+    const revokedSessions = await Session.revokeAllForUser(req.user._id, "logout_all")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, { revokedSessions }, "Logged out from all devices"))
+})
+
 
 export {
     registerUser,
@@ -567,5 +1244,18 @@ export {
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    getSessions,
+    revokeSession,
+    logoutAllSessions,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor
 }
\ No newline at end of file
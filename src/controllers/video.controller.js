@@ -0,0 +1,665 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { User } from "../models/user.model.js"
+import { View } from "../models/view.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { storage, uploadFile, deleteFile, deleteFolder, getAssetId, parseAssetId } from "../utils/storage/index.js"
+import { getPaginationOptions } from "../utils/pagination.js"
+import { createPlaybackToken, verifyPlaybackToken } from "../utils/playbackToken.js"
+import { enqueueVideoProcessing } from "../jobs/processVideo.job.js"
+import { buildMasterPlaylist } from "../jobs/generateHls.job.js"
+import { HLS_PLAYBACK_URL_TTL_SECONDS } from "../constants.js"
+
+
+// called when a video is fetched for playback:
+// moves the video to the top of viewer's watch history and counts one view per viewer per window
+const recordPlayback = async (videoId, userId) => {
+    const videoObjectId = new mongoose.Types.ObjectId(videoId)
+
+    // pipeline update so removing the old entry and putting it first happens in one write
+    await User.updateOne(
+        { _id: userId },
+        [
+            {
+                $set: {
+                    watchHistory: {
+                        $concatArrays: [
+                            [videoObjectId],
+                            {
+                                $filter: {
+                                    input: { $ifNull: ["$watchHistory", []] },
+                                    as: "id",
+                                    cond: { $ne: ["$$id", videoObjectId] }
+                                }
+                            }
+                        ]
+                    }
+                }
+            }
+        ]
+    )
+
+    try {
+        await View.create({ video: videoObjectId, viewer: userId })
+    } catch (error) {
+        // duplicate key means this viewer was already counted inside the window
+        if (error?.code === 11000) {
+            return false
+        }
+        throw error
+    }
+
+    await Video.updateOne({ _id: videoObjectId }, { $inc: { views: 1 } })
+    return true
+}
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    // page, limit -> pagination
+    // query -> search in title and description
+    // sortBy, sortType -> sorting
+    // userId -> only videos of that channel
+    const { query, sortBy = "createdAt", sortType = "desc", userId } = req.query
+
+    const pipeline = []
+
+    // only public videos are listed (unlisted ones only open by id), and only once processing is done
+    // (videos from before the processing pipeline have no processingStatus)
+    const match = { visibility: "public", processingStatus: { $in: ["ready", null] } }
+
+    if (userId) {
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "Invalid userId")
+        }
+        match.owner = new mongoose.Types.ObjectId(userId)
+    }
+
+    if (query?.trim()) {
+        // escape regex special characters so user input is matched literally
+        const searchRegex = new RegExp(query.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+        match.$or = [
+            { title: searchRegex },
+            { description: searchRegex }
+        ]
+    }
+
+    pipeline.push({ $match: match })
+
+    const sortableFields = ["createdAt", "views", "duration", "title"]
+    if (!sortableFields.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of ${sortableFields.join(", ")}`)
+    }
+
+    pipeline.push({
+        $sort: {
+            [sortBy]: sortType === "asc" ? 1 : -1,
+            _id: -1 // tie breaker so pages don't overlap
+        }
+    })
+
+    pipeline.push(
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        }
+    )
+
+    // aggregatePaginate wants the aggregate object itself, not the awaited result
+    const videoAggregate = Video.aggregate(pipeline)
+
+    const videos = await Video.aggregatePaginate(videoAggregate, getPaginationOptions(req.query))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"))
+})
+
+const publishAVideo = asyncHandler(async (req, res) => {
+    // get title and description from body
+    // check for video file and thumbnail (multer puts them in req.files)
+    // upload both to the storage provider (thumbnail is optional)
+    // create video document and queue the processing job, it fills duration / size and makes a thumbnail if needed
+    // return res
+    const { title, description, visibility, publishAt } = req.body
+
+    if ([title, description].some((field) => !field?.trim())) {
+        throw new ApiError(400, "Title and description are required")
+    }
+
+    const videoFileLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    if (!videoFileLocalPath) {
+        throw new ApiError(400, "Video file is required")
+    }
+
+    const videoFile = await uploadFile(videoFileLocalPath, { folder: "videos", resourceType: "video" })
+    const thumbnail = thumbnailLocalPath
+        ? await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+        : null
+
+    // don't leave half of the upload behind in the storage
+    if (!videoFile || (thumbnailLocalPath && !thumbnail)) {
+        await deleteFile(videoFile?.assetId)
+        await deleteFile(thumbnail?.assetId)
+        throw new ApiError(400, !videoFile ? "Error while uploading video file" : "Error while uploading thumbnail")
+    }
+
+    const video = await Video.create({
+        title: title.trim(),
+        description: description.trim(),
+        videoFile: videoFile.url,
+        videoFileAssetId: videoFile.assetId,
+        thumbnail: thumbnail?.url,
+        thumbnailAssetId: thumbnail?.assetId,
+        processingStatus: "pending",
+        // scheduled videos wait as private unless the owner picked unlisted
+        ...Video.visibilityFields(visibility ?? (publishAt ? "private" : "public")),
+        publishAt: publishAt ?? undefined,
+        owner: req.user?._id,
+    })
+
+    if (!video) {
+        throw new ApiError(500, "Something went wrong while publishing the video")
+    }
+
+    await enqueueVideoProcessing(video._id)
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, video, "Video uploaded successfully"))
+})
+
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        }
+    ])
+
+    const isOwner = video?.[0]?.owner?._id?.toString() === req.user?._id?.toString()
+
+    // unpublished videos are only visible to their owner
+    if (!video?.length || (!video[0].isPublished && !isOwner)) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    // the owner checking their own video (previews, private ones) is no view and no history entry
+    if (!isOwner) {
+        const isNewView = await recordPlayback(videoId, req.user._id)
+        if (isNewView) {
+            video[0].views += 1
+        }
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"))
+})
+
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { title, description } = req.body
+    const thumbnailLocalPath = req.file?.path
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+        throw new ApiError(400, "Nothing to update, send title, description or thumbnail")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only edit your own videos")
+    }
+
+    const oldThumbnailAssetId = getAssetId(video.thumbnailAssetId, video.thumbnail)
+
+    if (thumbnailLocalPath) {
+        const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+
+        if (!thumbnail) {
+            throw new ApiError(400, "Error while uploading thumbnail")
+        }
+
+        video.thumbnail = thumbnail.url
+        video.thumbnailAssetId = thumbnail.assetId
+    }
+
+    if (title?.trim()) {
+        video.title = title.trim()
+    }
+
+    if (description?.trim()) {
+        video.description = description.trim()
+    }
+
+    await video.save()
+
+    // remove old thumbnail only after the new one is saved
+    if (thumbnailLocalPath) {
+        await deleteFile(oldThumbnailAssetId)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"))
+})
+
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only delete your own videos")
+    }
+
+    await Video.findByIdAndDelete(videoId)
+    const videoComments = await Comment.find({ video: videoId }).distinct("_id")
+    await Like.deleteMany({
+        $or: [
+            { video: videoId },
+            { comment: { $in: videoComments } }
+        ]
+    })
+    await Comment.deleteMany({ video: videoId })
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } })
+    await User.updateMany({ watchHistory: video._id }, { $pull: { watchHistory: video._id } })
+    await View.deleteMany({ video: video._id })
+
+    await deleteFile(getAssetId(video.videoFileAssetId, video.videoFile))
+    await deleteFile(getAssetId(video.thumbnailAssetId, video.thumbnail))
+    await deleteFolder(video.hls?.assetPrefix)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"))
+})
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only change publish status of your own videos")
+    }
+
+    if (video.isModerationLocked()) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+    }
+
+    // public / unlisted -> private, private -> public. either way a pending schedule is dropped.
+    // the filter repeats the moderation check, in case a moderator took it down in the meantime
+    const updatedVideo = await Video.findOneAndUpdate(
+        { _id: videoId, "moderation.unpublishedAt": { $exists: false } },
+        {
+            $set: Video.visibilityFields(video.isPublished ? "private" : "public"),
+            $unset: {
+                publishAt: 1
+            }
+        },
+        { new: true }
+    )
+
+    if (!updatedVideo) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { isPublished: updatedVideo.isPublished, visibility: updatedVideo.visibility },
+            "Video publish status toggled successfully"
+        )
+    )
+})
+
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    // body is checked by validate(updateVisibilitySchema):
+    // visibility and / or publishAt (a future date, or null to cancel the schedule)
+    const { videoId } = req.params
+    const { visibility, publishAt } = req.body
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner?.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "You can only change visibility of your own videos")
+    }
+
+    let newVisibility = visibility ?? video.visibility
+    let newPublishAt = publishAt === undefined ? video.publishAt : publishAt
+
+    if (publishAt && !visibility && newVisibility === "public") {
+        newVisibility = "private" // scheduling an already public video takes it down until publishAt
+    }
+
+    if (newVisibility === "public") {
+        newPublishAt = null // published now, nothing left to schedule
+    }
+
+    // a moderator took it down: the owner may keep it private, but not publish or schedule it
+    const publishes = newVisibility !== "private" || Boolean(newPublishAt)
+    if (publishes && video.isModerationLocked()) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+    }
+
+    const update = { $set: Video.visibilityFields(newVisibility) }
+    if (newPublishAt) {
+        update.$set.publishAt = newPublishAt
+    } else {
+        update.$unset = { publishAt: 1 }
+    }
+
+    const filter = { _id: videoId }
+    if (publishes) {
+        filter["moderation.unpublishedAt"] = { $exists: false }
+    }
+
+    const updatedVideo = await Video.findOneAndUpdate(filter, update, { new: true })
+
+    if (!updatedVideo) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                videoId: updatedVideo._id,
+                visibility: updatedVideo.visibility,
+                isPublished: updatedVideo.isPublished,
+                publishAt: updatedVideo.publishAt ?? null
+            },
+            "Video visibility updated successfully"
+        )
+    )
+})
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    // clients poll this after an upload until processingStatus is "ready" (or "failed")
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId).select(
+        "owner isPublished processingStatus processingError processedAt duration width height thumbnail"
+    )
+
+    const isOwner = video?.owner?.toString() === req.user?._id?.toString()
+
+    if (!video || (!video.isPublished && !isOwner)) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            videoId: video._id,
+            processingStatus: video.processingStatus,
+            // the error is only for the owner, it may name storage details
+            processingError: isOwner ? video.processingError : undefined,
+            processedAt: video.processedAt,
+            duration: video.duration,
+            width: video.width,
+            height: video.height,
+            thumbnail: video.thumbnail
+        },
+        "Video processing status fetched successfully"
+    ))
+})
+
+const getVideoPlayback = asyncHandler(async (req, res) => {
+    // the hls master playlist for players. its url carries a playback token (utils/playbackToken.js),
+    // the playlists behind it are served by getHlsMasterPlaylist / getHlsRenditionPlaylist with signed segment urls
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished hls")
+
+    // same rule as getVideoById: unpublished videos only for their owner
+    const isOwner = video?.owner?.toString() === req.user?._id?.toString()
+    if (!video || (!video.isPublished && !isOwner)) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.hls?.status !== "ready") {
+        throw new ApiError(409, "Video is not ready for streaming yet")
+    }
+
+    const token = createPlaybackToken(video._id, {
+        scope: isOwner ? "owner" : "public",
+        expiresIn: HLS_PLAYBACK_URL_TTL_SECONDS
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            videoId: video._id,
+            manifestUrl: `${req.protocol}://${req.get("host")}${req.baseUrl}/${video._id}/hls/${token}/master.m3u8`,
+            expiresAt: new Date(Date.now() + HLS_PLAYBACK_URL_TTL_SECONDS * 1000),
+            renditions: video.hls.renditions
+        },
+        "Video playback fetched successfully"
+    ))
+})
+
+// the video behind a playback token, if the token is valid and the video may still be watched with it
+const findPlaybackVideo = async (videoId, token) => {
+    const grant = isValidObjectId(videoId) ? verifyPlaybackToken(videoId, token) : null
+
+    if (!grant) {
+        throw new ApiError(403, "Playback url is invalid or has expired")
+    }
+
+    const video = await Video.findById(videoId).select("isPublished hls")
+
+    // a "public" token stops working as soon as the video is taken down
+    if (!video || video.hls?.status !== "ready" || (grant.scope !== "owner" && !video.isPublished)) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return { video, grant }
+}
+
+const sendPlaylist = (res, playlist) => {
+    // the signed urls inside must not end up in a shared cache
+    res.set("Cache-Control", "private, no-store")
+    res.type("application/vnd.apple.mpegurl")
+    return res.status(200).send(playlist)
+}
+
+const getHlsMasterPlaylist = asyncHandler(async (req, res) => {
+    const { videoId, token } = req.params
+    const { video } = await findPlaybackVideo(videoId, token)
+
+    // variant urls are relative ("720p/index.m3u8"), so they stay under this token
+    return sendPlaylist(res, buildMasterPlaylist(video.hls.renditions))
+})
+
+const getHlsRenditionPlaylist = asyncHandler(async (req, res) => {
+    const { videoId, token, rendition: renditionName } = req.params
+    const { video, grant } = await findPlaybackVideo(videoId, token)
+
+    const rendition = video.hls.renditions.find((item) => item.name === renditionName)
+
+    if (!rendition) {
+        throw new ApiError(404, "Rendition not found")
+    }
+
+    const playlistAssetId = `${video.hls.assetPrefix}/${rendition.playlist}`
+    const renditionPrefix = playlistAssetId.slice(0, playlistAssetId.lastIndexOf("/"))
+    const playlist = (await storage.read(playlistAssetId)).toString("utf8")
+
+    // every segment gets its own signed url, valid as long as the token
+    const expiresIn = Math.max(60, grant.expires - Math.floor(Date.now() / 1000))
+    const lines = await Promise.all(playlist.split("\n").map(async (line) => {
+        const uri = line.trim()
+        if (!uri || uri.startsWith("#")) {
+            return line
+        }
+        return await storage.getSignedUrl(`${renditionPrefix}/${uri}`, { expiresIn })
+    }))
+
+    return sendPlaylist(res, lines.join("\n"))
+})
+
+const streamVideo = asyncHandler(async (req, res, next) => {
+    // the video file itself, for <video src>. range requests make seeking work,
+    // res.sendFile does those: Accept-Ranges, 206 + Content-Range, 416, ETag / Last-Modified, 304 and If-Range
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished videoFile videoFileAssetId")
+
+    // same rule as getVideoById: unpublished videos only for their owner
+    if (!video || (!video.isPublished && video.owner?.toString() !== req.user?._id?.toString())) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const videoAssetId = getAssetId(video.videoFileAssetId, video.videoFile)
+
+    if (!videoAssetId) {
+        throw new ApiError(404, "Video file not found")
+    }
+
+    const { provider, key } = parseAssetId(videoAssetId)
+
+    // cloud storages do ranges themselves, send the player there with a short lived url
+    if (typeof provider.getFilePath !== "function") {
+        return res.redirect(302, await storage.getSignedUrl(videoAssetId, { expiresIn: 15 * 60 }))
+    }
+
+    return res.sendFile(
+        provider.getFilePath(key),
+        {
+            headers: {
+                // access is checked on every request, caches must revalidate (cheap with the ETag)
+                "Cache-Control": "private, no-cache"
+            }
+        },
+        (error) => {
+            if (!error) return
+            // the player closes the connection all the time while seeking
+            if (error.code === "ECONNABORTED" || res.headersSent) return
+            // 416 comes with "Content-Range: bytes */<size>" to set
+            if (error.headers) res.set(error.headers)
+            next(error.code === "ENOENT" ? new ApiError(404, "Video file not found") : error)
+        }
+    )
+})
+
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    updateVideoVisibility,
+    getVideoProcessingStatus,
+    getVideoPlayback,
+    getHlsMasterPlaylist,
+    getHlsRenditionPlaylist,
+    streamVideo
+}
@@ -7,6 +7,10 @@ dotenv.config({
 }); // Consistent import style {path:'./env'}
 import connectDB from './db/index.js'
 import {app} from './app.js'
+import { startUploadSessionSweeper } from './utils/uploadSessionSweeper.js'
+import { startVideoPublishScheduler } from './utils/videoPublishScheduler.js'
+import { startJobWorker } from './utils/jobQueue.js'
+import { registerJobHandlers } from './jobs/index.js'
 
 //so basically app is our web server so what we want to do is that when DB loads, we want web server ie app to start listening on port.
 connectDB()
@@ -19,6 +23,14 @@ connectDB()
 // app.listen() does NOT block the execution of subsequent code. Here's what actually happens:
             console.log("✅ Database connected successfully!");
             console.log("✅ Server running on port:", PORT);
+            startUploadSessionSweeper()
+            startVideoPublishScheduler()
+
+            // JOB_WORKER=off when the jobs run in their own process (npm run worker)
+            if (process.env.JOB_WORKER !== "off") {
+                registerJobHandlers()
+                startJobWorker({ concurrency: Number(process.env.JOB_WORKER_CONCURRENCY) || 1 })
+            }
             // console.log(server)
         });
 
@@ -0,0 +1,180 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { Video } from "../models/video.model.js"
+import { storage, deleteFolder, getAssetId } from "../utils/storage/index.js"
+import { probeMedia, transcodeHlsRendition } from "../utils/media.js"
+import { enqueueJob, createPermanentError } from "../utils/jobQueue.js"
+import { getUploadTempDir } from "../utils/tempFiles.js"
+import { HLS_RENDITIONS, HLS_SEGMENT_SECONDS } from "../constants.js"
+
+
+const GENERATE_HLS_JOB = "video.hls"
+
+// x264 wants even sizes
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2)
+
+// every rendition of the ladder that is not bigger than the source, measured on the short side
+// like "1080p" always is (so portrait videos work too). a source smaller than the smallest
+// rendition gets just that one at its own size
+const pickRenditions = (sourceWidth, sourceHeight) => {
+    const shortSide = Math.min(sourceWidth, sourceHeight)
+    const fitting = HLS_RENDITIONS.filter((rendition) => rendition.height <= shortSide)
+    const ladder = fitting.length ? fitting : [HLS_RENDITIONS[HLS_RENDITIONS.length - 1]]
+
+    return ladder.map((rendition) => {
+        const scale = Math.min(rendition.height, shortSide) / shortSide
+        return {
+            ...rendition,
+            width: toEven(sourceWidth * scale),
+            height: toEven(sourceHeight * scale)
+        }
+    })
+}
+
+const buildMasterPlaylist = (renditions) => {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"]
+
+    for (const rendition of renditions) {
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+            rendition.playlist
+        )
+    }
+    return lines.join("\n") + "\n"
+}
+
+// transcodes every rendition into workDir, then uploads them under hls/<videoId>/.
+// the master playlist goes up last, so it never points at segments that are not there yet.
+const generateHls = async ({ videoId }, job, { signal } = {}) => {
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        return
+    }
+
+    if (!video.width || !video.height) {
+        throw new Error("Video has not been processed yet")
+    }
+
+    const videoAssetId = getAssetId(video.videoFileAssetId, video.videoFile)
+
+    if (!videoAssetId) {
+        throw createPermanentError("Video file is not in a known storage")
+    }
+
+    await Video.updateOne({ _id: videoId }, { $set: { "hls.status": "processing" } })
+
+    const workDir = path.join(getUploadTempDir(), "hls", `${videoId}-${crypto.randomUUID()}`)
+    const folderKey = `hls/${videoId}`
+    let assetPrefix = null
+
+    try {
+        // signed urls have to outlive the longest transcode
+        const sourceOptions = { expiresIn: 6 * 60 * 60 }
+        const { hasAudio } = await probeMedia(await storage.getProcessingSource(videoAssetId, sourceOptions))
+
+        const renditions = pickRenditions(video.width, video.height).map((rendition) => ({
+            ...rendition,
+            playlist: `${rendition.name}/index.m3u8`,
+            bandwidth: Math.round((rendition.videoBitrate * 1.07 + (hasAudio ? rendition.audioBitrate : 0)) * 1000)
+        }))
+
+        for (const rendition of renditions) {
+            const outputDir = path.join(workDir, rendition.name)
+            await fs.promises.mkdir(outputDir, { recursive: true })
+
+            await transcodeHlsRendition(
+                await storage.getProcessingSource(videoAssetId, sourceOptions),
+                outputDir,
+                { ...rendition, hasAudio, segmentSeconds: HLS_SEGMENT_SECONDS, signal }
+            )
+        }
+
+        // lost the job while transcoding, the worker that has it now uploads to the same keys
+        signal?.throwIfAborted()
+
+        const masterPath = path.join(workDir, "master.m3u8")
+        await fs.promises.writeFile(masterPath, buildMasterPlaylist(renditions))
+
+        try {
+            for (const rendition of renditions) {
+                const fileNames = await fs.promises.readdir(path.join(workDir, rendition.name))
+
+                for (const fileName of fileNames) {
+                    signal?.throwIfAborted()
+                    const uploaded = await storage.upload(path.join(workDir, rendition.name, fileName), {
+                        key: `${folderKey}/${rendition.name}/${fileName}`,
+                        resourceType: "raw",
+                        access: "private"
+                    })
+                    assetPrefix = assetPrefix || uploaded.assetId.slice(0, uploaded.assetId.lastIndexOf(`/${rendition.name}/`))
+                }
+            }
+
+            signal?.throwIfAborted()
+            const masterPlaylist = await storage.upload(masterPath, {
+                key: `${folderKey}/master.m3u8`,
+                resourceType: "raw",
+                access: "private"
+            })
+            assetPrefix = masterPlaylist.assetId.slice(0, masterPlaylist.assetId.lastIndexOf("/"))
+
+            const updatedVideo = await Video.findByIdAndUpdate(videoId, {
+                $set: {
+                    "hls.status": "ready",
+                    "hls.masterPlaylistAssetId": masterPlaylist.assetId,
+                    "hls.assetPrefix": assetPrefix,
+                    "hls.renditions": renditions.map(({ name, width, height, bandwidth, playlist }) => ({
+                        name, width, height, bandwidth, playlist
+                    })),
+                    "hls.generatedAt": new Date()
+                },
+                $unset: {
+                    "hls.error": 1
+                }
+            })
+
+            // deleted while we were transcoding
+            if (!updatedVideo) {
+                await deleteFolder(assetPrefix)
+            }
+        } catch (error) {
+            // half uploaded renditions are of no use. unless the job was lost: the folder is shared
+            // with the run that has it now
+            if (!signal?.aborted) {
+                await deleteFolder(assetPrefix)
+            }
+            throw error
+        }
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+}
+
+const onGenerateHlsFailed = async ({ videoId }, job, error) => {
+    await Video.updateOne(
+        { _id: videoId },
+        {
+            $set: {
+                "hls.status": "failed",
+                "hls.error": error?.message || "HLS generation failed"
+            }
+        }
+    )
+}
+
+const enqueueHlsGeneration = async (videoId) => {
+    await Video.updateOne({ _id: videoId }, { $set: { "hls.status": "pending" } })
+    // transcoding is long and heavy, don't hammer it as often as the other jobs
+    return await enqueueJob(GENERATE_HLS_JOB, { videoId: videoId.toString() }, { maxAttempts: 3 })
+}
+
+export {
+    GENERATE_HLS_JOB,
+    generateHls,
+    onGenerateHlsFailed,
+    enqueueHlsGeneration,
+    pickRenditions,
+    buildMasterPlaylist
+}
@@ -0,0 +1,12 @@
+import { registerJobHandler } from "../utils/jobQueue.js"
+import { PROCESS_VIDEO_JOB, processVideo, onProcessVideoFailed } from "./processVideo.job.js"
+import { GENERATE_HLS_JOB, generateHls, onGenerateHlsFailed } from "./generateHls.job.js"
+
+
+// every background job type and its handler, call once before starting a worker
+const registerJobHandlers = () => {
+    registerJobHandler(PROCESS_VIDEO_JOB, { run: processVideo, onFailed: onProcessVideoFailed })
+    registerJobHandler(GENERATE_HLS_JOB, { run: generateHls, onFailed: onGenerateHlsFailed })
+}
+
+export { registerJobHandlers }
@@ -0,0 +1,126 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { Video } from "../models/video.model.js"
+import { storage, uploadFile, deleteFile, getAssetId } from "../utils/storage/index.js"
+import { probeMedia, generateThumbnail } from "../utils/media.js"
+import { enqueueJob, createPermanentError } from "../utils/jobQueue.js"
+import { getUploadTempDir } from "../utils/tempFiles.js"
+import { enqueueHlsGeneration } from "./generateHls.job.js"
+
+
+const PROCESS_VIDEO_JOB = "video.process"
+
+// a frame from the first seconds, the very first one is often black
+const getThumbnailTime = (duration) => Math.min(duration * 0.1, 5)
+
+const createGeneratedThumbnail = async (source, duration) => {
+    const thumbnailPath = path.join(getUploadTempDir(), `${Date.now()}-${crypto.randomUUID()}.jpg`)
+
+    try {
+        await generateThumbnail(source, thumbnailPath, { atSeconds: getThumbnailTime(duration) })
+    } catch (error) {
+        await fs.promises.rm(thumbnailPath, { force: true })
+        throw error
+    }
+
+    // uploadFile removes the temp file
+    const thumbnail = await uploadFile(thumbnailPath, { folder: "thumbnails", resourceType: "image" })
+
+    if (!thumbnail) {
+        throw new Error("Could not upload the generated thumbnail")
+    }
+    return thumbnail
+}
+
+// probes the uploaded file for duration and size, and makes a thumbnail if the owner didn't send one
+const processVideo = async ({ videoId }) => {
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        return // deleted before we got to it
+    }
+
+    await Video.updateOne({ _id: videoId }, { $set: { processingStatus: "processing" } })
+
+    const videoAssetId = getAssetId(video.videoFileAssetId, video.videoFile)
+
+    if (!videoAssetId) {
+        throw createPermanentError("Video file is not in a known storage")
+    }
+
+    const source = await storage.getProcessingSource(videoAssetId)
+    const metadata = await probeMedia(source)
+
+    if (!metadata.hasVideo) {
+        throw createPermanentError("Uploaded file has no video stream")
+    }
+
+    await Video.updateOne(
+        { _id: videoId },
+        {
+            $set: {
+                duration: metadata.duration,
+                width: metadata.width,
+                height: metadata.height
+            }
+        }
+    )
+
+    if (!video.thumbnail) {
+        const thumbnail = await createGeneratedThumbnail(source, metadata.duration)
+
+        // only if the owner still hasn't uploaded one in the meantime
+        const result = await Video.updateOne(
+            { _id: videoId, thumbnail: { $in: ["", null] } },
+            {
+                $set: {
+                    thumbnail: thumbnail.url,
+                    thumbnailAssetId: thumbnail.assetId
+                }
+            }
+        )
+
+        if (!result.modifiedCount) {
+            await deleteFile(thumbnail.assetId)
+        }
+    }
+
+    await Video.updateOne(
+        { _id: videoId },
+        {
+            $set: {
+                processingStatus: "ready",
+                processedAt: new Date()
+            },
+            $unset: {
+                processingError: 1
+            }
+        }
+    )
+    // the video plays as a single file from here on, the hls renditions come in their own job
+    await enqueueHlsGeneration(videoId)
+}
+
+const onProcessVideoFailed = async ({ videoId }, job, error) => {
+    await Video.updateOne(
+        { _id: videoId },
+        {
+            $set: {
+                processingStatus: "failed",
+                processingError: error?.message || "Processing failed"
+            }
+        }
+    )
+}
+
+const enqueueVideoProcessing = async (videoId) => {
+    return await enqueueJob(PROCESS_VIDEO_JOB, { videoId: videoId.toString() })
+}
+
+export {
+    PROCESS_VIDEO_JOB,
+    processVideo,
+    onProcessVideoFailed,
+    enqueueVideoProcessing
+}
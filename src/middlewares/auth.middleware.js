@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.model.js";
+import { RevokedToken } from "../models/revokedToken.model.js";
 
 export const verifyJWT = asyncHandler(async(req, res, next) => {
     try {
@@ -15,19 +16,47 @@ export const verifyJWT = asyncHandler(async(req, res, next) => {
     
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
         // You’re verifying and decoding a JWT (JSON Web Token). If the token is valid and not expired, decodedToken will be a JavaScript object containing the payload (the data you put into the token when you signed it).
+
+        // a valid signature is not enough, the token may have been revoked (logout, reused refresh token...)
+        if (!decodedToken?.jti || await RevokedToken.exists({ jti: decodedToken.jti })) {
+            throw new ApiError(401, "Access token has been revoked")
+        }
     
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        const user = await User.findById(decodedToken?._id).select("-password")
         console.log("this is the user after verifying", user)
     
         if (!user) {
             
             throw new ApiError(401, "Invalid Access Token")
         }
+
+        if (user.isSuspended) {
+            throw new ApiError(403, "Your account has been suspended")
+        }
     
         req.user = user;// here we are creating and updatig the user in request.
+        req.sessionId = decodedToken?.sid // session (device) of this access token, used by logout and sessions list
         next()//next means move to logoutUser function
     } catch (error) {
+        // jwt errors (expired, bad signature) are turned into 401s by the error handler
+        if (error instanceof ApiError || error instanceof jwt.JsonWebTokenError) {
+            throw error
+        }
         throw new ApiError(401, error?.message || "Invalid access token")
     }
     
-})
\ No newline at end of file
+})
+
+// use after verifyJWT, e.g. router.use(verifyJWT, authorize("admin", "moderator"))
+// role is read from the database user (req.user), not the token, so a role change applies immediately
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        throw new ApiError(401, "Unauthorized request")
+    }
+
+    if (!roles.includes(req.user.role)) {
+        throw new ApiError(403, "You are not allowed to perform this action")
+    }
+
+    next()
+}
\ No newline at end of file
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken"
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+
+// Every error response of the api has this shape (same keys as ApiResponse, plus errors and requestId):
+// {
+//     "success": false,
+//     "statusCode": 400,
+//     "message": "Validation failed",
+//     "data": null,
+//     "errors": [{ "field": "email", "message": "email must be a valid email address" }],
+//     "requestId": "1b4e28ba-2fa1-11d2-883f-0016d3cca427",
+//     "stack": "..."            // only when NODE_ENV=development
+// }
+
+const isDevelopment = () => process.env.NODE_ENV === "development"
+
+// turns whatever was thrown into an ApiError with the right 4xx / 5xx status
+const toApiError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ApiError(
+            400,
+            "Validation failed",
+            Object.values(err.errors).map((fieldError) => ({
+                field: fieldError.path,
+                message: fieldError.message
+            })),
+            err.stack
+        )
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `Invalid value for ${err.path}`,
+            [{ field: err.path, message: `${err.path} must be a valid ${err.kind}` }],
+            err.stack
+        )
+    }
+
+    // duplicate key from a unique index (email, username...)
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {})
+        return new ApiError(
+            409,
+            fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+            fields.map((field) => ({ field, message: `${field} already exists` })),
+            err.stack
+        )
+    }
+
+    // TokenExpiredError extends JsonWebTokenError so it has to be checked first
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "Token has expired", [], err.stack)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError) {
+        return new ApiError(401, "Invalid token", [], err.stack)
+    }
+
+    if (err instanceof multer.MulterError) {
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        return new ApiError(
+            statusCode,
+            err.message,
+            err.field ? [{ field: err.field, message: err.message }] : [],
+            err.stack
+        )
+    }
+
+    // express.json() / urlencoded() errors: invalid json, body too large...
+    const status = err?.status || err?.statusCode
+    if (status >= 400 && status < 500) {
+        return new ApiError(status, err.expose === false ? "Bad request" : err.message, [], err.stack)
+    }
+
+    return new ApiError(500, "Internal Server Error", [], err?.stack)
+}
+
+// registered after all routers, for urls no router handled
+export const notFoundHandler = (req, res, next) => {
+    next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`))
+}
+
+// must be the last app.use(), express knows it is an error handler because it takes 4 arguments
+export const errorHandler = (err, req, res, next) => {
+    const apiError = toApiError(err)
+
+    if (apiError.statusCode >= 500) {
+        console.log(`❌ [${req.id}] ${req.method} ${req.originalUrl}`, err)
+    }
+
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const body = {
+        success: false,
+        statusCode: apiError.statusCode,
+        message: apiError.message,
+        data: null,
+        errors: apiError.error || [],
+        requestId: req.id
+    }
+
+    if (isDevelopment()) {
+        body.stack = apiError.stack
+    }
+
+    return res.status(apiError.statusCode).json(body)
+}
@@ -0,0 +1,59 @@
+import path from "path"
+import { ApiError } from "../utils/ApiError.js"
+import { getLocalStorageDir, verifyLocalSignature } from "../utils/storage/index.js"
+
+// folders of the local storage that express.static must not hand out to everybody:
+// video files only go out through GET /videos/:videoId/stream (which checks visibility and the owner),
+// hls playlists and segments through the signed urls of the playback endpoint.
+// images (avatars, thumbnails...) stay public
+const PROTECTED_FOLDERS = ["videos", "hls"]
+
+// linux paths are case sensitive, on macOS / windows "Videos/" would open the same folder
+const comparable = (filePath) => (process.platform === "linux" ? filePath : filePath.toLowerCase())
+
+const isInside = (filePath, dir) => filePath === dir || filePath.startsWith(dir + path.sep)
+
+// goes right before express.static(staticRoot) in app.js. the url is resolved to the file
+// the same way express.static does it (decoded, "..", "//" and "./" collapsed), so
+// /uploads//videos/x.mp4 or /uploads/%76ideos/x.mp4 end up at the same check
+export const protectLocalMediaFiles = (staticRoot) => (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+        return next()
+    }
+
+    let decodedPath
+    try {
+        decodedPath = decodeURIComponent(req.path)
+    } catch {
+        throw new ApiError(400, "Invalid file path")
+    }
+
+    // express.static refuses these anyway, nothing to resolve
+    if (decodedPath.includes("\0")) {
+        throw new ApiError(400, "Invalid file path")
+    }
+
+    const filePath = comparable(path.join(path.resolve(staticRoot), path.normalize("." + path.sep + decodedPath)))
+    const storageDir = comparable(getLocalStorageDir())
+
+    const isProtected = PROTECTED_FOLDERS.some((folder) => isInside(filePath, path.join(storageDir, folder)))
+    if (!isProtected) {
+        return next()
+    }
+
+    // the signature is made for the storage key, so the key is taken from the resolved path too
+    const key = path.relative(storageDir, filePath).split(path.sep).join("/")
+
+    let isSigned = false
+    try {
+        isSigned = verifyLocalSignature(key, req.query.expires, req.query.signature)
+    } catch {
+        // no LOCAL_STORAGE_SIGNING_SECRET, nothing can be signed
+    }
+
+    if (!isSigned) {
+        throw new ApiError(403, "This file is only available through a signed url")
+    }
+
+    next()
+}
@@ -1,16 +1,178 @@
 import multer from "multer";
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { Transform } from "stream"
+import { ApiError } from "../utils/ApiError.js"
+import { IMAGE_UPLOAD_MAX_BYTES, VIDEO_UPLOAD_MAX_BYTES } from "../constants.js"
+import { IMAGE_MIME_TYPES, VIDEO_MIME_TYPES, EXTENSIONS, HEADER_BYTES, detectMimeTypes } from "../utils/fileType.js"
+import { getUploadTempDir } from "../utils/tempFiles.js"
 
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      cb(null, "./public/temp/")
-      //cb means callback
+
+const FILE_KINDS = {
+    image: {
+        mimeTypes: IMAGE_MIME_TYPES,
+        maxBytes: IMAGE_UPLOAD_MAX_BYTES
     },
-    filename: function (req, file, cb) {
-        console.log("Saving file:", file.originalname);
-      cb(null, file.originalname)
+    video: {
+        mimeTypes: VIDEO_MIME_TYPES,
+        maxBytes: VIDEO_UPLOAD_MAX_BYTES
     }
-  })
-  
+}
+
+// every file field the routes accept and what kind of file it must be
+const FIELD_KINDS = {
+    avatar: "image",
+    coverImage: "image",
+    thumbnail: "image",
+    videoFile: "video"
+}
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`
+
+// passes the file through while counting bytes and checking the magic bytes,
+// errors as soon as the file is too big or turns out to be something else
+const createFileInspector = (file, kind) => {
+    let header = Buffer.alloc(0)
+    let bytes = 0
+
+    const inspector = new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length
+
+            if (bytes > kind.maxBytes) {
+                return callback(new ApiError(413, `${file.fieldname} must be at most ${formatMegabytes(kind.maxBytes)}`))
+            }
+
+            if (!inspector.mimeType && header.length < HEADER_BYTES) {
+                header = Buffer.concat([header, chunk]).subarray(0, HEADER_BYTES)
+
+                if (header.length === HEADER_BYTES) {
+                    const error = detect()
+                    if (error) return callback(error)
+                }
+            }
+
+            callback(null, chunk)
+        },
+        flush(callback) {
+            callback(inspector.mimeType ? null : detect())
+        }
+    })
+
+    const detect = () => {
+        const detected = detectMimeTypes(header).filter((type) => kind.mimeTypes.includes(type))
+
+        if (!detected.length) {
+            return new ApiError(415, `${file.fieldname} content does not match an allowed type (${kind.mimeTypes.join(", ")})`)
+        }
+
+        // webm and mkv look the same at the start, trust the client between the two
+        inspector.mimeType = detected.includes(file.mimetype) ? file.mimetype : detected[0]
+        return null
+    }
+
+    inspector.getBytes = () => bytes
+    return inspector
+}
+
+// every temp file of a request is removed once the response is done, whether the
+// controller succeeded, threw, or the client went away in the middle of the upload
+const trackTempFile = (req, filePath) => {
+    if (!req.tempUploadFiles) {
+        req.tempUploadFiles = new Set()
+        req.res?.once("close", () => {
+            for (const tempFile of req.tempUploadFiles) {
+                fs.promises.rm(tempFile, { force: true }).catch(() => {})
+            }
+        })
+    }
+    req.tempUploadFiles.add(filePath)
+}
+
+// a multer storage engine: https://github.com/expressjs/multer/blob/main/StorageEngine.md
+const storage = {
+    _handleFile(req, file, cb) {
+        const kind = FILE_KINDS[FIELD_KINDS[file.fieldname]]
+        // generated name, never file.originalname: no collisions and no "../" tricks
+        const baseName = `${Date.now()}-${crypto.randomUUID()}`
+        const tempDir = getUploadTempDir()
+        const partPath = path.join(tempDir, `${baseName}.part`)
+        trackTempFile(req, partPath)
+
+        const inspector = createFileInspector(file, kind)
+        const output = fs.createWriteStream(partPath)
+        let settled = false
+
+        const fail = (error) => {
+            if (settled) return
+            settled = true
+
+            // keep reading the rest of the part so busboy can finish the request
+            file.stream.unpipe(inspector)
+            file.stream.resume()
+            inspector.unpipe(output)
+            output.destroy()
+
+            fs.promises.rm(partPath, { force: true }).finally(() => cb(error))
+        }
+
+        inspector.on("error", fail)
+        output.on("error", fail)
+        output.on("finish", async () => {
+            if (settled) return
+            settled = true
+
+            const filename = `${baseName}${EXTENSIONS[inspector.mimeType]}`
+            const filePath = path.join(tempDir, filename)
+
+            try {
+                // the storage providers take the extension from the path
+                await fs.promises.rename(partPath, filePath)
+                trackTempFile(req, filePath)
+            } catch (error) {
+                return cb(error)
+            }
+
+            cb(null, {
+                destination: tempDir,
+                filename,
+                path: filePath,
+                size: inspector.getBytes(),
+                mimetype: inspector.mimeType
+            })
+        })
+
+        file.stream.pipe(inspector).pipe(output)
+    },
+
+    _removeFile(req, file, cb) {
+        fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb)
+    }
+}
+
+// cheap check on the declared type before a single byte is written
+const fileFilter = (req, file, cb) => {
+    const kind = FILE_KINDS[FIELD_KINDS[file.fieldname]]
+
+    if (!kind) {
+        return cb(new ApiError(400, `Unexpected file field "${file.fieldname}"`))
+    }
+
+    if (!kind.mimeTypes.includes(file.mimetype)) {
+        return cb(new ApiError(415, `${file.fieldname} must be one of ${kind.mimeTypes.join(", ")}`))
+    }
+
+    cb(null, true)
+}
+
 export const upload = multer({ // ← This entire configured multer instance
-    storage, 
-})
\ No newline at end of file
+    storage,
+    fileFilter,
+    limits: {
+        // per field limits are checked by the inspector, this is only the hard ceiling
+        fileSize: Math.max(...Object.values(FILE_KINDS).map((kind) => kind.maxBytes)),
+        files: 4,
+        fields: 20
+    }
+})
@@ -0,0 +1,41 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDefaultRateLimitStore } from "../utils/rateLimitStores.js";
+
+// fixed window rate limiter, configured per route:
+//   router.route("/login").post(rateLimit({ name: "login", windowMs: 15 * 60 * 1000, limit: 10 }), loginUser)
+// sends the standard RateLimit-* headers on every response and Retry-After when the limit is hit.
+export const rateLimit = ({
+    name,
+    windowMs = 15 * 60 * 1000,
+    limit = 100,
+    keyGenerator = (req) => req.ip,
+    store,
+    message = "Too many requests, please try again later"
+}) => {
+    if (!name) {
+        throw new Error("rateLimit needs a name, it keeps the counters of different routes apart")
+    }
+
+    return asyncHandler(async (req, res, next) => {
+        const limiterStore = store || getDefaultRateLimitStore()
+        const key = `${name}:${keyGenerator(req)}`
+
+        const { count, resetAt } = await limiterStore.increment(key, windowMs)
+        const secondsToReset = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 0)
+
+        res.set({
+            "RateLimit-Policy": `${limit};w=${Math.ceil(windowMs / 1000)}`,
+            "RateLimit-Limit": String(limit),
+            "RateLimit-Remaining": String(Math.max(limit - count, 0)),
+            "RateLimit-Reset": String(secondsToReset)
+        })
+
+        if (count > limit) {
+            res.set("Retry-After", String(secondsToReset))
+            throw new ApiError(429, message)
+        }
+
+        next()
+    })
+}
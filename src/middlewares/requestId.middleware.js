@@ -0,0 +1,16 @@
+import crypto from "crypto"
+
+// every request gets an id: the one the client / proxy sent in X-Request-Id, or a new uuid.
+// it is sent back in the X-Request-Id header and in every error response, so a user
+// reporting an error can be matched with the server logs.
+export const requestId = (req, res, next) => {
+    const incomingId = req.get("x-request-id")
+
+    // only accept short, plain ids from outside, they end up in logs
+    req.id = incomingId && /^[A-Za-z0-9._-]{1,128}$/.test(incomingId)
+        ? incomingId
+        : crypto.randomUUID()
+
+    res.set("X-Request-Id", req.id)
+    next()
+}
@@ -0,0 +1,49 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// validates req.params, req.query and req.body against zod schemas before the controller runs:
+//   router.route("/login").post(validate({ body: loginSchema }), loginUser)
+// all problems are collected into one 400 ApiError, error = [{ field, location, message }].
+// parsed (trimmed, lowercased, unknown keys stripped) body and query replace the raw ones.
+// for multipart routes put it after the multer middleware, multer is what fills req.body.
+export const validate = (schemas) => (req, res, next) => {
+    const errors = []
+    const parsed = {}
+
+    for (const location of ["params", "query", "body"]) {
+        if (!schemas[location]) continue
+
+        const result = schemas[location].safeParse(req[location] ?? {})
+
+        if (result.success) {
+            parsed[location] = result.data
+        } else {
+            errors.push(
+                ...result.error.issues.map((issue) => ({
+                    field: issue.path.join(".") || location,
+                    location,
+                    message: issue.message
+                }))
+            )
+        }
+    }
+
+    if (errors.length) {
+        throw new ApiError(400, "Validation failed", errors)
+    }
+
+    if (parsed.body) {
+        req.body = parsed.body
+    }
+
+    if (parsed.query) {
+        // req.query is a getter in express 5, it can't simply be assigned
+        Object.defineProperty(req, "query", {
+            value: parsed.query,
+            writable: true,
+            configurable: true,
+            enumerable: true
+        })
+    }
+
+    next()
+}
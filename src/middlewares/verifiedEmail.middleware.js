@@ -0,0 +1,9 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// use after verifyJWT on routes with side effects (upload, comment, tweet...)
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user?.isEmailVerified) {
+        throw new ApiError(403, "Please verify your email address first")
+    }
+    next()
+}
@@ -14,6 +14,11 @@ const commentSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        parentComment: {
+            type: Schema.Types.ObjectId, // null for top level comments, otherwise the comment being replied to
+            ref: "Comment",
+            default: null
         }
     },
     {
@@ -21,6 +26,8 @@ const commentSchema = new Schema(
     }
 )
 
+// comments of a video are always fetched per thread, newest first
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
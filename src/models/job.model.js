@@ -0,0 +1,60 @@
+import mongoose, {Schema} from "mongoose";
+
+// a unit of background work for utils/jobQueue.js.
+// queued -> running -> completed, or back to queued (with a later runAt) when it failed and has attempts left,
+// or failed when it has none.
+const jobSchema = new Schema(
+    {
+        type: {
+            type: String,
+            required: true
+        },
+        payload: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed"],
+            default: "queued"
+        },
+        runAt: {
+            type: Date, // not picked up before this time, used for the retry backoff
+            default: Date.now
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        maxAttempts: {
+            type: Number,
+            default: 5
+        },
+        lockedAt: {
+            type: Date
+        },
+        lockedBy: {
+            type: String // worker id, helps when reading the logs
+        },
+        lastError: {
+            type: String
+        },
+        completedAt: {
+            type: Date
+        },
+        failedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true,
+        minimize: false
+    }
+)
+
+// what the workers ask for: next due job of a status
+jobSchema.index({ status: 1, runAt: 1 })
+// done jobs are only kept for a week, failed ones stay for a look
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+export const Job = mongoose.model("Job", jobSchema)
@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 
 const likeSchema = new Schema({
@@ -21,4 +22,21 @@ const likeSchema = new Schema({
     
 }, {timestamps: true})
 
+// one like per user per target, unique index makes it hold even for concurrent requests.
+// partial filter is needed because a like document only has one of video/comment/tweet set.
+likeSchema.index(
+    { likedBy: 1, video: 1 },
+    { unique: true, partialFilterExpression: { video: { $exists: true } } }
+)
+likeSchema.index(
+    { likedBy: 1, comment: 1 },
+    { unique: true, partialFilterExpression: { comment: { $exists: true } } }
+)
+likeSchema.index(
+    { likedBy: 1, tweet: 1 },
+    { unique: true, partialFilterExpression: { tweet: { $exists: true } } }
+)
+
+likeSchema.plugin(mongooseAggregatePaginate)
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
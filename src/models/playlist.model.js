@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const playlistSchema = new Schema({
     name: {
@@ -21,6 +22,8 @@ const playlistSchema = new Schema({
     },
 }, {timestamps: true})
 
+playlistSchema.index({ owner: 1, updatedAt: -1 })
 
+playlistSchema.plugin(mongooseAggregatePaginate)
 
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
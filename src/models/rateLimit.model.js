@@ -0,0 +1,22 @@
+import mongoose, {Schema} from "mongoose";
+
+// hit counter of the mongo rate limit store, one document per key (e.g. "login:1.2.3.4").
+// shared by all instances of the api, TTL index removes the document once its window is over.
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+})
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
@@ -0,0 +1,31 @@
+import mongoose, {Schema} from "mongoose";
+
+// access tokens are stateless, so to kill one before it expires we remember its jti here.
+// verifyJWT rejects any token whose jti is in this collection.
+// the document is only needed until the token would have expired anyway, TTL index cleans it up.
+const revokedTokenSchema = new Schema(
+    {
+        jti: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        reason: {
+            type: String
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            expires: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema)
@@ -0,0 +1,35 @@
+import mongoose, {Schema} from "mongoose";
+
+// audit trail of suspicious things that happened to an account, e.g. a replayed refresh token
+const securityEventSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            index: true
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ["refresh_token_reuse", "account_locked"]
+        },
+        session: {
+            type: Schema.Types.ObjectId,
+            ref: "Session"
+        },
+        ip: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        },
+        details: {
+            type: Schema.Types.Mixed
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema)
@@ -0,0 +1,111 @@
+import mongoose, {Schema} from "mongoose";
+import crypto from "crypto"
+import { RevokedToken } from "./revokedToken.model.js";
+
+// one session per logged in device. it replaces the single refreshToken field on User,
+// so logging in on a second device doesn't invalidate the first one.
+// a session is also a refresh token "family": every refresh rotates the token inside the same session,
+// and presenting an older (already rotated) token revokes the whole family.
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        refreshTokenHash: {
+            type: String, // sha256 of the current refresh token, the raw token is never stored
+            required: true
+        },
+        device: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        },
+        ip: {
+            type: String
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        accessTokens: [// access tokens issued in this family which may still be alive, revoked with the family
+            {
+                _id: false,
+                jti: String,
+                expiresAt: Date
+            }
+        ],
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            expires: 0 // TTL index, mongo removes the session once the refresh token has expired
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+sessionSchema.statics.hashToken = function(token){
+    return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+sessionSchema.methods.isRefreshTokenValid = function(token){
+    const incomingHash = Buffer.from(this.constructor.hashToken(token), "hex")
+    const storedHash = Buffer.from(this.refreshTokenHash, "hex")
+
+    return incomingHash.length === storedHash.length && crypto.timingSafeEqual(incomingHash, storedHash)
+}
+
+// kills the family: refresh token stops working and every live access token goes to the revocation list.
+// the document is kept until it expires so a later replay of its tokens is still recognised.
+sessionSchema.methods.revoke = async function(reason){
+    const liveAccessTokens = this.accessTokens.filter((token) => token.expiresAt > new Date())
+
+    if (liveAccessTokens.length) {
+        try {
+            await RevokedToken.insertMany(
+                liveAccessTokens.map((token) => ({
+                    jti: token.jti,
+                    user: this.user,
+                    reason,
+                    expiresAt: token.expiresAt
+                })),
+                { ordered: false }
+            )
+        } catch (error) {
+            // 11000 -> some of them were already revoked, that's fine
+            if (error?.code !== 11000) {
+                throw error
+            }
+        }
+    }
+
+    this.accessTokens = []
+    this.revokedAt = new Date()
+    this.revokedReason = reason
+    return await this.save()
+}
+
+// revokes every active session (token family) of a user, returns how many were revoked
+sessionSchema.statics.revokeAllForUser = async function(userId, reason){
+    const sessions = await this.find({ user: userId, revokedAt: null })
+
+    for (const session of sessions) {
+        await session.revoke(reason)
+    }
+
+    return sessions.length
+}
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose"
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema({
     subscriber: {
@@ -11,6 +12,11 @@ const subscriptionSchema = new Schema({
     }
 }, {timestamps: true})
 
+// a user can subscribe to a channel only once, also used for lookups in both directions
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+subscriptionSchema.index({ channel: 1, createdAt: -1 })
+
+subscriptionSchema.plugin(mongooseAggregatePaginate)
 
 
 // Sample subscription documents:
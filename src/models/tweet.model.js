@@ -1,9 +1,13 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { TWEET_MAX_LENGTH } from "../constants.js";
 
 const tweetSchema = new Schema({
     content: {
         type: String,
-        required: true
+        required: true,
+        trim: true,
+        maxlength: TWEET_MAX_LENGTH
     },
     owner: {
         type: Schema.Types.ObjectId,
@@ -11,5 +15,8 @@ const tweetSchema = new Schema({
     }
 }, {timestamps: true})
 
+tweetSchema.index({ owner: 1, createdAt: -1 })
+
+tweetSchema.plugin(mongooseAggregatePaginate)
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -0,0 +1,75 @@
+import mongoose, {Schema} from "mongoose";
+import path from "path"
+import { getResumableUploadDir } from "../utils/tempFiles.js"
+import { EXTENSIONS } from "../utils/fileType.js"
+
+// one resumable video upload. the bytes go to a file in the resumable temp folder chunk by chunk,
+// offset is how many of them are already on disk so the client knows where to continue.
+// expired sessions are removed together with their file by utils/uploadSessionSweeper.js
+// (not a TTL index, mongo would drop the document and leave the file behind).
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        fileName: {
+            type: String, // original name, only informative
+            required: true
+        },
+        mimeType: {
+            type: String,
+            required: true
+        },
+        size: {
+            type: Number, // total bytes the client announced
+            required: true
+        },
+        offset: {
+            type: Number,
+            default: 0
+        },
+        title: {
+            type: String,
+            required: true
+        },
+        description: {
+            type: String,
+            required: true
+        },
+        visibility: {
+            type: String // visibility and publishAt the video gets once finalized
+        },
+        publishAt: {
+            type: Date
+        },
+        status: {
+            type: String,
+            enum: ["uploading", "finalizing", "completed"],
+            default: "uploading"
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        lockedUntil: {
+            type: Date // set while a PATCH is writing, two chunks never write at the same time
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+uploadSessionSchema.methods.getFilePath = function(){
+    return path.join(getResumableUploadDir(), `${this._id}${EXTENSIONS[this.mimeType] || ""}`)
+}
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
@@ -1,6 +1,8 @@
 import mongoose, {Schema} from "mongoose";
 import jwt from "jsonwebtoken"//to genrate tokens
 import bcrypt from "bcrypt"//library to hash passwords
+import crypto from "crypto"
+import { LOGIN_LOCK_THRESHOLD, LOGIN_LOCK_BASE_MS, LOGIN_LOCK_MAX_MS, USER_ROLES } from "../constants.js";
 
 const userSchema = new Schema(
     {
@@ -16,7 +18,7 @@ const userSchema = new Schema(
             type: String,
             required: true,
             unique: true,
-            lowecase: true,
+            lowercase: true,
             trim: true, 
         },
         fullName: {
@@ -26,11 +28,17 @@ const userSchema = new Schema(
             index: true
         },
         avatar: {
-            type: String, // cloudinary url
+            type: String, // public url of the file, kept for the clients
             required: true,
         },
+        avatarAssetId: {
+            type: String, // "<provider>:<key>" from utils/storage, used to delete / sign the file
+        },
         coverImage: {
-            type: String, // cloudinary url
+            type: String, // public url of the file
+        },
+        coverImageAssetId: {
+            type: String,
         },
         watchHistory: [// array indicates there will be multiple items.
             {
@@ -42,9 +50,74 @@ const userSchema = new Schema(
             type: String,
             required: [true, 'Password is required']
         },
-        refreshToken: {
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: "user"
+        },
+        isSuspended: {
+            type: Boolean,
+            default: false
+        },
+        suspendedAt: {
+            type: Date
+        },
+        suspensionReason: {
             type: String
+        },
+        isEmailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerificationTokenId: {
+            type: String, // jti of the only verification link still valid, removed once used
+            select: false
+        },
+        emailVerificationSentAt: {
+            type: Date
+        },
+        passwordResetTokenHash: {
+            type: String, // sha256 of the reset token, raw token only goes out in the mail
+            select: false
+        },
+        passwordResetExpiresAt: {
+            type: Date,
+            select: false
+        },
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false
+        },
+        twoFactorSecret: {
+            type: String, // base32 TOTP secret, only set once enrolment is confirmed
+            select: false
+        },
+        twoFactorPendingSecret: {
+            type: String, // secret waiting for the first code during enrolment
+            select: false
+        },
+        twoFactorRecoveryCodes: {
+            type: [String], // sha256 hashes, each code works once
+            select: false
+        },
+        twoFactorChallengeId: {
+            type: String, // jti of the one open 2FA login challenge, removed when it is used
+            select: false
+        },
+        twoFactorLastUsedStep: {
+            type: Number, // time step of the last accepted code, the same code can't be used twice
+            select: false
+        },
+        failedLoginAttempts: {
+            type: Number, // wrong passwords in a row, reset on successful login
+            default: 0,
+            select: false
+        },
+        lockUntil: {
+            type: Date,
+            select: false
         }
+        // refresh tokens live in the sessions collection, one per device (see session.model.js)
 
     },
     {
@@ -63,30 +136,119 @@ userSchema.methods.isPasswordCorrect = async function(password){
     return await bcrypt.compare(password, this.password) //return true or false
 }//now this method available to every document.
 
-userSchema.methods.generateAccessToken = function(){
+userSchema.methods.isLocked = function(){
+    return Boolean(this.lockUntil && this.lockUntil > new Date())
+}
+
+// counts a wrong password and locks the account once there were too many,
+// returns the lock end date or null. $inc keeps the count right for parallel attempts.
+userSchema.methods.registerFailedLogin = async function(){
+    const updatedUser = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select("+failedLoginAttempts")
+
+    const attempts = updatedUser.failedLoginAttempts
+
+    if (attempts < LOGIN_LOCK_THRESHOLD) {
+        return null
+    }
+
+    const lockMs = Math.min(LOGIN_LOCK_BASE_MS * 2 ** (attempts - LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_MAX_MS)
+    const lockUntil = new Date(Date.now() + lockMs)
+
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil } })
+    return lockUntil
+}
+
+userSchema.methods.resetFailedLogins = async function(){
+    await this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $set: { failedLoginAttempts: 0 },
+            $unset: { lockUntil: 1 }
+        }
+    )
+}
+
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign( 
     // It takes your data and converts it into a secure, encoded string (the JWT token).
         {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            role: this.role,
+            sid: sessionId // session (device) this token was issued for
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
-            expiresIn: process.env.ACCESS_TOKEN_EXPIRY
+            expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+            jwtid: crypto.randomUUID() // unique id so this one token can be revoked, see verifyJWT
         }
     )
 }
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
-            
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            jwtid: crypto.randomUUID()
+        }
+    )
+}
+
+userSchema.methods.generateEmailVerificationToken = function(){
+    // new token replaces the old one, only the latest link sent works
+    this.emailVerificationTokenId = crypto.randomUUID()
+    this.emailVerificationSentAt = new Date()
+
+    return jwt.sign(
+        {
+            _id: this._id,
+            email: this.email, // link stops working if email is changed in between
+            purpose: "email_verification"
+        },
+        process.env.EMAIL_VERIFICATION_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFICATION_EXPIRY || "1d",
+            jwtid: this.emailVerificationTokenId
+        }
+    )
+}
+
+userSchema.methods.generatePasswordResetToken = function(){
+    // random token instead of jwt, so it can be looked up by its hash and removed after one use
+    const resetToken = crypto.randomBytes(32).toString("hex")
+    const expiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 15
+
+    this.passwordResetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex")
+    this.passwordResetExpiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000)
+
+    return resetToken
+}
+
+// short lived token returned by the password step of a 2FA login,
+// exchanged together with a TOTP code for the real access and refresh tokens.
+// works once: its id is kept on the user (save after calling this) and removed by /login/2fa
+userSchema.methods.generateTwoFactorChallengeToken = function(){
+    this.twoFactorChallengeId = crypto.randomUUID()
+
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "two_factor_login"
+        },
+        process.env.TWO_FACTOR_CHALLENGE_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+            jwtid: this.twoFactorChallengeId
         }
     )
 }
@@ -1,15 +1,22 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_VISIBILITIES } from "../constants.js";
 
 const videoSchema = new Schema(
     {
         videoFile: {
-            type: String, //cloudinary url
+            type: String, //public url of the file
             required: true
         },
+        videoFileAssetId: {
+            type: String, //"<provider>:<key>" from utils/storage
+        },
         thumbnail: {
-            type: String, //cloudinary url
-            required: true
+            type: String, //public url of the file, generated by the processing job when not uploaded
+            default: ""
+        },
+        thumbnailAssetId: {
+            type: String,
         },
         title: {
             type: String, 
@@ -20,17 +27,83 @@ const videoSchema = new Schema(
             required: true
         },
         duration: {
-            type: Number, 
-            required: true
+            type: Number, //seconds, filled in by the processing job (jobs/processVideo.job.js)
+            default: 0
+        },
+        width: {
+            type: Number
+        },
+        height: {
+            type: Number
+        },
+        processingStatus: {
+            type: String,
+            enum: ["pending", "processing", "ready", "failed"],
+            default: "ready" //videos from before the processing pipeline have no status and were ready already
+        },
+        processingError: {
+            type: String
+        },
+        processedAt: {
+            type: Date
+        },
+        hls: {// adaptive streaming renditions, made by jobs/generateHls.job.js after processing
+            status: {
+                type: String,
+                enum: ["none", "pending", "processing", "ready", "failed"],
+                default: "none"
+            },
+            masterPlaylistAssetId: {
+                type: String
+            },
+            assetPrefix: {
+                type: String // "<provider>:<folder>" holding every playlist and segment, deleted as a whole
+            },
+            renditions: [
+                {
+                    _id: false,
+                    name: String, // "720p"
+                    width: Number,
+                    height: Number,
+                    bandwidth: Number, // bits per second, as in the master playlist
+                    playlist: String // path relative to the master playlist
+                }
+            ],
+            error: {
+                type: String
+            },
+            generatedAt: {
+                type: Date
+            }
         },
         views: {
             type: Number,
             default: 0
         },
-        isPublished: {
+        visibility: {
+            type: String,
+            enum: VIDEO_VISIBILITIES,
+            default: "public"
+        },
+        isPublished: {//kept in sync with visibility (see visibilityFields): true when anyone with the id may watch it
             type: Boolean,
             default: true
         },
+        publishAt: {
+            type: Date //scheduled publishing, utils/videoPublishScheduler.js makes the video public at this time
+        },
+        moderation: {// set when a moderator takes the video down, the owner can't publish it again until it's lifted
+            unpublishedAt: {
+                type: Date
+            },
+            unpublishedBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            reason: {
+                type: String
+            }
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
@@ -42,7 +115,27 @@ const videoSchema = new Schema(
     }
 )
 
+// channel pages and the dashboard list videos of one owner newest first
+videoSchema.index({ owner: 1, createdAt: -1 })
+// the public listing
+videoSchema.index({ visibility: 1, createdAt: -1 })
+// the scheduler only looks at videos that have a publishAt
+videoSchema.index({ publishAt: 1 }, { sparse: true })
+
+// every write of visibility goes through this, so isPublished never disagrees with it
+videoSchema.statics.visibilityFields = function(visibility){
+    return {
+        visibility,
+        isPublished: visibility !== "private"
+    }
+}
+
 videoSchema.plugin(mongooseAggregatePaginate)
 // You're adding the pagination plugin to your video schema.
 
+// true while a moderator's unpublish is in force (admin.controller forceUnpublishVideo)
+videoSchema.methods.isModerationLocked = function(){
+    return Boolean(this.moderation?.unpublishedAt)
+}
+
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
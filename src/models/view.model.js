@@ -0,0 +1,27 @@
+import mongoose, {Schema} from "mongoose";
+import { VIEW_COUNT_WINDOW_SECONDS } from "../constants.js";
+
+// one document per (video, viewer) while the view window is open.
+// the unique index stops a second view being counted, the TTL index removes the
+// document when the window is over so the next watch counts again.
+const viewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: VIEW_COUNT_WINDOW_SECONDS
+    }
+})
+
+viewSchema.index({ video: 1, viewer: 1 }, { unique: true })
+
+export const View = mongoose.model("View", viewSchema)
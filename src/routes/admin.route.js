@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    forceUnpublishVideo,
+    liftVideoUnpublish
+} from "../controllers/admin.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /admin/
+// moderators can use them too, admin.controller decides whom they may act on
+router.use(verifyJWT, authorize("admin", "moderator"))
+
+router.route("/users").get(listUsers)
+router.route("/users/:userId/suspend").patch(suspendUser)
+router.route("/users/:userId/unsuspend").patch(unsuspendUser)
+router.route("/videos/:videoId/unpublish").patch(forceUnpublishVideo)
+router.route("/videos/:videoId/unpublish/lift").patch(liftVideoUnpublish)
+
+export default router
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+} from "../controllers/comment.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /comments/
+router.use(verifyJWT)
+
+router.route("/:videoId").get(getVideoComments).post(requireVerifiedEmail, addComment)
+router.route("/c/:commentId").patch(updateComment).delete(deleteComment)
+router.route("/c/:commentId/replies").get(getCommentReplies)
+
+export default router
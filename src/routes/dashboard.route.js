@@ -0,0 +1,16 @@
+import { Router } from "express";
+import {
+    getChannelStats,
+    getChannelVideos
+} from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /dashboard/
+router.use(verifyJWT)
+
+router.route("/stats").get(getChannelStats)
+router.route("/videos").get(getChannelVideos)
+
+export default router
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+} from "../controllers/like.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /likes/
+router.use(verifyJWT)
+
+router.route("/toggle/v/:videoId").post(toggleVideoLike)
+router.route("/toggle/c/:commentId").post(toggleCommentLike)
+router.route("/toggle/t/:tweetId").post(toggleTweetLike)
+router.route("/videos").get(getLikedVideos)
+
+export default router
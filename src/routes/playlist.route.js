@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    deletePlaylist,
+    updatePlaylist
+} from "../controllers/playlist.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /playlist/
+router.use(verifyJWT)
+
+router.route("/").post(createPlaylist)
+
+router
+    .route("/:playlistId")
+    .get(getPlaylistById)
+    .patch(updatePlaylist)
+    .delete(deletePlaylist)
+
+router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist)
+router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist)
+
+router.route("/user/:userId").get(getUserPlaylists)
+
+export default router
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+} from "../controllers/subscription.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /subscriptions/
+router.use(verifyJWT)
+
+router
+    .route("/c/:channelId")
+    .get(getUserChannelSubscribers)
+    .post(toggleSubscription)
+
+router.route("/u/:subscriberId").get(getSubscribedChannels)
+
+export default router
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import {
+    createTweet,
+    getUserTweets,
+    updateTweet,
+    deleteTweet
+} from "../controllers/tweet.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
+
+
+const router = Router()
+// all routes will get prefixed with /tweets/
+router.use(verifyJWT)
+
+router.route("/").post(requireVerifiedEmail, createTweet)
+router.route("/user/:userId").get(getUserTweets)
+router.route("/:tweetId").patch(updateTweet).delete(deleteTweet)
+
+export default router
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+    createUploadSession,
+    getUploadOffset,
+    uploadChunk,
+    finalizeUpload,
+    cancelUpload
+} from "../controllers/upload.controller.js";
+import { upload } from "../middlewares/multer.middleware.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { createUploadSchema, uploadIdSchema } from "../validators/upload.validator.js";
+
+
+const router = Router()
+// all routes will get prefixed with /uploads/
+router.use(verifyJWT)
+
+router.route("/").post(requireVerifiedEmail, validate(createUploadSchema), createUploadSession)
+
+router
+    .route("/:uploadId")
+    .head(validate(uploadIdSchema), getUploadOffset)
+    .patch(validate(uploadIdSchema), uploadChunk)// raw bytes, express.json leaves this body alone
+    .delete(validate(uploadIdSchema), cancelUpload)
+
+router.route("/:uploadId/finalize").post(
+    requireVerifiedEmail,
+    upload.single("thumbnail"),
+    validate(uploadIdSchema),
+    finalizeUpload
+)
+
+export default router
@@ -10,16 +10,55 @@ import {
     updateUserCoverImage, 
     getUserChannelProfile, 
     getWatchHistory, 
-    updateAccountDetails
+    updateAccountDetails,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    getSessions,
+    revokeSession,
+    logoutAllSessions,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor
 } from "../controllers/user.controller.js";
 import {upload} from "../middlewares/multer.middleware.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    registerSchema,
+    loginSchema,
+    twoFactorLoginSchema,
+    refreshTokenSchema,
+    changePasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateAccountSchema,
+    channelProfileSchema,
+    watchHistoryItemSchema,
+    sessionIdSchema,
+    verifyEmailSchema,
+    confirmTwoFactorSchema,
+    disableTwoFactorSchema,
+    noInputSchema
+} from "../validators/user.validator.js";
 
 
 const router = Router()
 // all routes will get pefixed with /users/
 
+// limits per ip for routes that can be used to guess passwords or spam accounts/mails
+const loginLimiter = rateLimit({ name: "login", windowMs: 15 * 60 * 1000, limit: 10, message: "Too many login attempts, please try again later" })
+const registerLimiter = rateLimit({ name: "register", windowMs: 60 * 60 * 1000, limit: 5, message: "Too many accounts created from this IP, please try again later" })
+const refreshTokenLimiter = rateLimit({ name: "refresh-token", windowMs: 15 * 60 * 1000, limit: 30 })
+const passwordResetLimiter = rateLimit({ name: "password-reset", windowMs: 60 * 60 * 1000, limit: 5 })
+
 router.route("/register").post(
+    registerLimiter,
     upload.fields([
     // /upload.fields() is a Multer middleware method that handles
         //  multiple file uploads with different field names in a single request.
@@ -37,6 +76,7 @@ router.route("/register").post(
             maxCount: 1
         }
     ]),
+    validate(registerSchema),//after multer, multer is what fills req.body for multipart forms
     registerUser
     )
 
@@ -50,22 +90,37 @@ router.route("/register").post(
 
 
 //login route , we don't need middleware since we are not storing any uploaded data.
-router.route("/login").post(loginUser)
+router.route("/login").post(loginLimiter, validate(loginSchema), loginUser)
+router.route("/login/2fa").post(loginLimiter, validate(twoFactorLoginSchema), verifyTwoFactorLogin)//second step when two factor auth is enabled
 
 // //secured routes
-router.route("/logout").post(verifyJWT,  logoutUser)//since we have cookie parser we can directly access cokies in req.cookies.
+router.route("/logout").post(verifyJWT, validate(noInputSchema), logoutUser)//since we have cookie parser we can directly access cokies in req.cookies.
 //verifyJWT is a middleware
-router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/logout-all").post(verifyJWT, validate(noInputSchema), logoutAllSessions)//logs out every device
+router.route("/refresh-token").post(refreshTokenLimiter, validate(refreshTokenSchema), refreshAccessToken)
+router.route("/change-password").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword)
+router.route("/forgot-password").post(passwordResetLimiter, validate(forgotPasswordSchema), forgotPassword)
+router.route("/reset-password").post(passwordResetLimiter, validate(resetPasswordSchema), resetPassword)
 
 //to verify jwt we can sent token either through cookir or headers.
-router.route("/current-user").get(verifyJWT, getCurrentUser)
+router.route("/current-user").get(verifyJWT, validate(noInputSchema), getCurrentUser)
+
+router.route("/update-account").patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails)
+router.route("/avatar").patch(verifyJWT, upload.single("avatar"), validate(noInputSchema), updateUserAvatar)
+router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), validate(noInputSchema), updateUserCoverImage)
+
+router.route("/c/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile)
+router.route("/history").get(verifyJWT, validate(noInputSchema), getWatchHistory).delete(verifyJWT, validate(noInputSchema), clearWatchHistory)
+router.route("/history/:videoId").delete(verifyJWT, validate(watchHistoryItemSchema), removeFromWatchHistory)
+
+router.route("/sessions").get(verifyJWT, validate(noInputSchema), getSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(sessionIdSchema), revokeSession)
 
-router.route("/update-account").patch(verifyJWT, updateAccountDetails)
-router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
-router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
+router.route("/2fa/setup").post(verifyJWT, validate(noInputSchema), setupTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, validate(confirmTwoFactorSchema), confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, validate(disableTwoFactorSchema), disableTwoFactor)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail)//token comes from the mail, user may not be logged in on that device
+router.route("/resend-verification").post(verifyJWT, validate(noInputSchema), resendVerificationEmail)
 
 export default router
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    updateVideoVisibility,
+    getVideoProcessingStatus,
+    getVideoPlayback,
+    getHlsMasterPlaylist,
+    getHlsRenditionPlaylist,
+    streamVideo
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { publishVideoSchema, updateVisibilitySchema } from "../validators/video.validator.js";
+
+
+const router = Router()
+// all routes will get prefixed with /videos/
+
+// fetched by the video player without the access token, the playback token in the path
+// (from GET /:videoId/playback) is checked instead. so these go before verifyJWT
+router.route("/:videoId/hls/:token/master.m3u8").get(getHlsMasterPlaylist)
+router.route("/:videoId/hls/:token/:rendition/index.m3u8").get(getHlsRenditionPlaylist)
+
+router.use(verifyJWT) // Apply verifyJWT middleware to all routes in this file
+
+router
+    .route("/")
+    .get(getAllVideos)
+    .post(
+        requireVerifiedEmail,
+        upload.fields([
+            {
+                name: "videoFile",
+                maxCount: 1
+            },
+            {
+                name: "thumbnail",
+                maxCount: 1
+            }
+        ]),
+        validate(publishVideoSchema),//after multer, it fills req.body
+        publishAVideo
+    )
+
+router
+    .route("/:videoId")
+    .get(getVideoById)
+    .delete(deleteVideo)
+    .patch(upload.single("thumbnail"), updateVideo)
+
+router.route("/:videoId/status").get(getVideoProcessingStatus)
+router.route("/:videoId/playback").get(getVideoPlayback)
+router.route("/:videoId/stream").get(streamVideo)
+
+router.route("/toggle/publish/:videoId").patch(togglePublishStatus)
+router.route("/:videoId/visibility").patch(validate(updateVisibilitySchema), updateVideoVisibility)
+
+export default router
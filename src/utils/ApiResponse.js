@@ -3,7 +3,7 @@
         this.statusCode=statusCode,
         this.data=data,
         this.message=message,
-        this.sucess = statusCode < 400
+        this.success = statusCode < 400
 
 
     }
@@ -0,0 +1,38 @@
+// rough, dependency free description of the device a request came from, shown in the sessions list.
+// client can send its own name in body.deviceName (for example "Jatin's Pixel").
+const describeUserAgent = (userAgent = "") => {
+    const browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+        ["Postman", /PostmanRuntime/],
+        ["curl", /curl\//]
+    ]
+    const systems = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X|Macintosh/],
+        ["Linux", /Linux/]
+    ]
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0]
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+    return [browser, system].filter(Boolean).join(" on ") || "Unknown device"
+}
+
+const getClientInfo = (req) => {
+    const userAgent = req.get("user-agent") || ""
+    const deviceName = typeof req.body?.deviceName === "string" ? req.body.deviceName.trim().slice(0, 100) : ""
+
+    return {
+        device: deviceName || describeUserAgent(userAgent),
+        userAgent: userAgent.slice(0, 512),
+        ip: req.ip
+    }
+}
+
+export { getClientInfo }
@@ -44,10 +44,13 @@ const uploadOnCloudinary = async (localFilePath) => {
 
 
 // Delete function
-const deleteFromCloudinary = async (publicURL) => {
+// resourceType has to be "video" for video assets, cloudinary looks in "image" by default.
+const deleteFromCloudinary = async (publicURL, resourceType = "image") => {
         try {
         const publicID = await getPublicIdFromUrl(publicURL)
-        const result = await cloudinary.uploader.destroy(publicID);
+        const result = await cloudinary.uploader.destroy(publicID, {
+            resource_type: resourceType
+        });
         console.log("Delete result:", result);
         return result;
     } catch (error) {
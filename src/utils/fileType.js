@@ -0,0 +1,66 @@
+import fs from "fs"
+
+
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"]
+const VIDEO_MIME_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/x-matroska"]
+
+const EXTENSIONS = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/webp": ".webp",
+    "image/gif": ".gif",
+    "video/mp4": ".mp4",
+    "video/quicktime": ".mov",
+    "video/webm": ".webm",
+    "video/x-matroska": ".mkv"
+}
+
+// enough bytes for every signature below
+const HEADER_BYTES = 12
+
+// the client's Content-Type is only a claim, the first bytes of the file tell what it really is.
+// returns the possible mime types for the header, [] when nothing matches.
+const detectMimeTypes = (header) => {
+    const ascii = (start, end) => header.toString("latin1", start, end)
+
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+        return ["image/jpeg"]
+    }
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return ["image/png"]
+    }
+    if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+        return ["image/gif"]
+    }
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+        return ["image/webp"]
+    }
+    if (ascii(4, 8) === "ftyp") {
+        return ascii(8, 12) === "qt  " ? ["video/quicktime"] : ["video/mp4"]
+    }
+    // EBML header, webm is a matroska file with another doc type
+    if (header.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+        return ["video/webm", "video/x-matroska"]
+    }
+    return []
+}
+
+// same check for a file that is already on disk
+const detectFileMimeTypes = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0)
+        return detectMimeTypes(buffer.subarray(0, bytesRead))
+    } finally {
+        await handle.close()
+    }
+}
+
+export {
+    IMAGE_MIME_TYPES,
+    VIDEO_MIME_TYPES,
+    EXTENSIONS,
+    HEADER_BYTES,
+    detectMimeTypes,
+    detectFileMimeTypes
+}
@@ -0,0 +1,215 @@
+import os from "os"
+import crypto from "crypto"
+import { Job } from "../models/job.model.js"
+import {
+    JOB_POLL_INTERVAL_MS,
+    JOB_HEARTBEAT_INTERVAL_MS,
+    JOB_LOCK_TIMEOUT_MS,
+    JOB_RETRY_BASE_MS,
+    JOB_RETRY_MAX_MS
+} from "../constants.js"
+
+
+// A small job queue on top of the jobs collection, no redis needed.
+// Any number of workers (this process or others) can poll it: claiming a job is one
+// findOneAndUpdate, so two workers never get the same job.
+//
+// registerJobHandler(type, { run, onFailed }):
+//   run(payload, job, { signal })  -> does the work, throwing means "try again later".
+//                                     signal aborts when the job's lock was lost, stop and don't write results then
+//   onFailed(payload, job, error)  -> optional, called once no attempts are left
+// throw an error with permanent = true to skip the remaining attempts (bad input won't get better).
+
+const handlers = {}
+
+const registerJobHandler = (type, { run, onFailed }) => {
+    if (typeof run !== "function") {
+        throw new Error(`Job handler "${type}" must have a run(payload, job) function`)
+    }
+    handlers[type] = { run, onFailed }
+}
+
+// for errors retrying can't fix
+const createPermanentError = (message) => {
+    const error = new Error(message)
+    error.permanent = true
+    return error
+}
+
+const enqueueJob = async (type, payload = {}, { runAt = new Date(), maxAttempts } = {}) => {
+    return await Job.create({ type, payload, runAt, maxAttempts })
+}
+
+// 30s, 1m, 2m, 4m... plus up to 20% jitter so failed jobs don't all come back at once
+const getRetryDelay = (attempts) => {
+    const delay = Math.min(JOB_RETRY_BASE_MS * 2 ** (attempts - 1), JOB_RETRY_MAX_MS)
+    return Math.round(delay * (1 + Math.random() * 0.2))
+}
+
+const claimNextJob = async (workerId) => {
+    const now = new Date()
+
+    return await Job.findOneAndUpdate(
+        {
+            type: { $in: Object.keys(handlers) },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                // the worker running it died, hand it to somebody else
+                { status: "running", lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: {
+                status: "running",
+                lockedAt: now,
+                lockedBy: workerId
+            },
+            $inc: {
+                attempts: 1
+            }
+        },
+        {
+            new: true,
+            sort: { runAt: 1 }
+        }
+    )
+}
+
+const runJob = async (job) => {
+    const handler = handlers[job.type]
+    const controller = new AbortController()
+
+    // renews the lock while the handler runs, so a long job (hls transcodes take hours) is not
+    // taken for crashed and handed to a second worker. if the lock is gone anyway (this worker
+    // stalled for longer than JOB_LOCK_TIMEOUT_MS), the handler is told to stop
+    const heartbeat = setInterval(async () => {
+        try {
+            const result = await Job.updateOne(
+                { _id: job._id, lockedBy: job.lockedBy, status: "running" },
+                { $set: { lockedAt: new Date() } }
+            )
+            if (!result.matchedCount) {
+                controller.abort(new Error("Job lock was lost to another worker"))
+            }
+        } catch (error) {
+            console.log(`❌ could not renew the lock of job ${job.type} ${job._id}:`, error)
+        }
+    }, JOB_HEARTBEAT_INTERVAL_MS)
+    heartbeat.unref()
+
+    try {
+        await handler.run(job.payload, job, { signal: controller.signal })
+        // finished, but somebody else owns the job by now
+        controller.signal.throwIfAborted()
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: job.lockedBy },
+            {
+                $set: { status: "completed", completedAt: new Date() },
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            }
+        )
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log(`⚠️ job ${job.type} ${job._id} lost its lock, left to the worker that has it now`)
+            return
+        }
+
+        const lastError = error?.message || String(error)
+
+        if (!error?.permanent && job.attempts < job.maxAttempts) {
+            const runAt = new Date(Date.now() + getRetryDelay(job.attempts))
+            console.log(`⚠️ job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retry at ${runAt.toISOString()}:`, lastError)
+
+            await Job.updateOne(
+                { _id: job._id, lockedBy: job.lockedBy },
+                {
+                    $set: { status: "queued", runAt, lastError },
+                    $unset: { lockedAt: 1, lockedBy: 1 }
+                }
+            )
+            return
+        }
+
+        console.log(`❌ job ${job.type} ${job._id} failed for good:`, lastError)
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: job.lockedBy },
+            {
+                $set: { status: "failed", failedAt: new Date(), lastError },
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            }
+        )
+
+        try {
+            await handler.onFailed?.(job.payload, job, error)
+        } catch (onFailedError) {
+            console.log(`❌ onFailed of job ${job.type} ${job._id} threw:`, onFailedError)
+        }
+    } finally {
+        clearInterval(heartbeat)
+    }
+}
+
+// polls for jobs until stop() is called, runs `concurrency` jobs at the same time at most
+const startJobWorker = ({ concurrency = 1, pollIntervalMs = JOB_POLL_INTERVAL_MS } = {}) => {
+    const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`
+    let stopped = false
+    const sleepers = new Set()
+
+    const sleep = (ms) => new Promise((resolve) => {
+        const sleeper = { resolve, timer: setTimeout(() => { sleepers.delete(sleeper); resolve() }, ms) }
+        sleeper.timer.unref()
+        sleepers.add(sleeper)
+    })
+
+    const loop = async () => {
+        while (!stopped) {
+            let job = null
+            try {
+                job = await claimNextJob(workerId)
+            } catch (error) {
+                console.log("❌ job worker could not claim a job:", error)
+            }
+
+            if (!job) {
+                // nothing to do, wait before asking again
+                await sleep(pollIntervalMs)
+                continue
+            }
+
+            // runJob only throws when it can't write the result (database gone). the job stays locked
+            // and is picked up again once the lock expires, the loop itself has to keep going
+            try {
+                await runJob(job)
+            } catch (error) {
+                console.log(`❌ job worker could not finish job ${job.type} ${job._id}:`, error)
+            }
+        }
+    }
+
+    const loops = Array.from({ length: concurrency }, () => loop())
+
+    return {
+        workerId,
+        stop: async () => {
+            stopped = true
+            for (const sleeper of sleepers) {
+                clearTimeout(sleeper.timer)
+                sleeper.resolve()
+            }
+            sleepers.clear()
+            // running jobs are finished, not cut off
+            await Promise.allSettled(loops)
+        }
+    }
+}
+
+export {
+    registerJobHandler,
+    enqueueJob,
+    createPermanentError,
+    startJobWorker,
+    claimNextJob,
+    runJob
+}
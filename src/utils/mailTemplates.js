@@ -0,0 +1,30 @@
+// subject, plain text and html version of every mail the app sends.
+// link is built by the caller from CLIENT_URL so the frontend decides how the page looks.
+
+// fullName is user input, it must not be able to inject html into the mail
+const escapeHtml = (value = "") => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+const emailVerificationMail = ({ fullName, link, expiresIn }) => ({
+    subject: "Verify your email address",
+    text: `Hi ${fullName},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in ${expiresIn}. If you did not create an account you can ignore this mail.`,
+    html: `<p>Hi ${escapeHtml(fullName)},</p>
+<p>Please verify your email address by clicking the link below:</p>
+<p><a href="${escapeHtml(link)}">Verify email</a></p>
+<p>The link expires in ${expiresIn}. If you did not create an account you can ignore this mail.</p>`
+})
+
+const passwordResetMail = ({ fullName, link, expiresInMinutes }) => ({
+    subject: "Reset your password",
+    text: `Hi ${fullName},\n\nSomebody asked to reset the password of your account. Open this link to choose a new password:\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can be used only once. If it wasn't you, you can ignore this mail, your password stays the same.`,
+    html: `<p>Hi ${escapeHtml(fullName)},</p>
+<p>Somebody asked to reset the password of your account. Click the link below to choose a new password:</p>
+<p><a href="${escapeHtml(link)}">Reset password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can be used only once. If it wasn't you, you can ignore this mail, your password stays the same.</p>`
+})
+
+export { emailVerificationMail, passwordResetMail }
@@ -0,0 +1,108 @@
+import nodemailer from "nodemailer"
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+
+
+// A transport is any object with an async send({ from, to, subject, text, html }) method.
+// MAIL_TRANSPORT picks one of the built in transports:
+//   smtp    -> real mail through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    -> every mail is written as json into MAIL_FILE_DIR (default ./tmp/mails), handy for local testing
+//   console -> mail is only printed to the terminal (default)
+// setMailTransport() can plug in anything else (a test double, a mail API...).
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: Number(process.env.SMTP_PORT) === 465, // 465 is implicit TLS, others upgrade with STARTTLS
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    })
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            const info = await transporter.sendMail(message)
+            return { messageId: info.messageId }
+        }
+    }
+}
+
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || "./tmp/mails") => {
+    return {
+        name: "file",
+        send: async (message) => {
+            await fs.promises.mkdir(directory, { recursive: true })
+
+            const messageId = crypto.randomUUID()
+            const filePath = path.join(directory, `${Date.now()}-${messageId}.json`)
+            await fs.promises.writeFile(
+                filePath,
+                JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+            )
+
+            console.log("mail written to", filePath)
+            return { messageId }
+        }
+    }
+}
+
+const createConsoleTransport = () => {
+    return {
+        name: "console",
+        send: async (message) => {
+            const messageId = crypto.randomUUID()
+            console.log("📧 mail", { messageId, ...message })
+            return { messageId }
+        }
+    }
+}
+
+const transportFactories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+}
+
+let transport = null
+
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || "console"
+        const factory = transportFactories[name]
+
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}", use one of ${Object.keys(transportFactories).join(", ")}`)
+        }
+
+        transport = factory()
+    }
+    return transport
+}
+
+const setMailTransport = (customTransport) => {
+    if (customTransport && typeof customTransport.send !== "function") {
+        throw new Error("Mail transport must have a send(message) function")
+    }
+    transport = customTransport
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+    return await getMailTransport().send({
+        from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export {
+    sendMail,
+    setMailTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport
+}
@@ -0,0 +1,93 @@
+import { execFile } from "child_process"
+import { promisify } from "util"
+import path from "path"
+
+const execFileAsync = promisify(execFile)
+
+// thin wrappers around the ffmpeg command line tools, they have to be installed on the machine
+// (FFMPEG_PATH / FFPROBE_PATH when they are not on the PATH).
+// input can be a local path or an http(s) url, ffmpeg reads both.
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg"
+const getFfprobePath = () => process.env.FFPROBE_PATH || "ffprobe"
+
+// duration in seconds, width / height of the first video stream
+const probeMedia = async (input) => {
+    const { stdout } = await execFileAsync(
+        getFfprobePath(),
+        ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", input],
+        { timeout: 2 * 60 * 1000, maxBuffer: 10 * 1024 * 1024 }
+    )
+
+    const { format = {}, streams = [] } = JSON.parse(stdout)
+    const videoStream = streams.find((stream) => stream.codec_type === "video")
+
+    return {
+        duration: Number(format.duration ?? videoStream?.duration) || 0,
+        width: videoStream?.width ?? null,
+        height: videoStream?.height ?? null,
+        hasVideo: Boolean(videoStream),
+        hasAudio: streams.some((stream) => stream.codec_type === "audio")
+    }
+}
+
+// one frame at atSeconds, scaled down to 1280 px wide, as jpeg
+const generateThumbnail = async (input, outputPath, { atSeconds = 0 } = {}) => {
+    await execFileAsync(
+        getFfmpegPath(),
+        [
+            "-v", "error",
+            "-y",
+            "-ss", String(atSeconds), // before -i: seek on the input, fast even for long videos
+            "-i", input,
+            "-frames:v", "1",
+            "-vf", "scale='min(1280,iw)':-2",
+            "-q:v", "3",
+            outputPath
+        ],
+        { timeout: 2 * 60 * 1000 }
+    )
+    return outputPath
+}
+
+// one hls rendition: outputDir/index.m3u8 plus outputDir/segment_0000.ts...
+// keyframes are forced on the segment boundaries so every rendition switches at the same points
+// signal kills ffmpeg when it aborts
+const transcodeHlsRendition = async (input, outputDir, { width, height, videoBitrate, audioBitrate, hasAudio, segmentSeconds, signal }) => {
+    const audioArgs = hasAudio
+        ? ["-c:a", "aac", "-b:a", `${audioBitrate}k`, "-ac", "2"]
+        : ["-an"]
+
+    await execFileAsync(
+        getFfmpegPath(),
+        [
+            "-v", "error",
+            "-y",
+            "-i", input,
+            "-vf", `scale=${width}:${height}`,
+            "-c:v", "libx264",
+            "-preset", "veryfast",
+            "-profile:v", "main",
+            "-b:v", `${videoBitrate}k`,
+            "-maxrate", `${Math.round(videoBitrate * 1.07)}k`,
+            "-bufsize", `${Math.round(videoBitrate * 1.5)}k`,
+            "-force_key_frames", `expr:gte(t,n_forced*${segmentSeconds})`,
+            "-sc_threshold", "0",
+            ...audioArgs,
+            "-f", "hls",
+            "-hls_time", String(segmentSeconds),
+            "-hls_playlist_type", "vod",
+            "-hls_segment_filename", path.join(outputDir, "segment_%04d.ts"),
+            path.join(outputDir, "index.m3u8")
+        ],
+        { timeout: 6 * 60 * 60 * 1000, maxBuffer: 10 * 1024 * 1024, signal }
+    )
+}
+
+export {
+    getFfmpegPath,
+    getFfprobePath,
+    probeMedia,
+    generateThumbnail,
+    transcodeHlsRendition
+}
@@ -0,0 +1,10 @@
+// turns ?page=&limit= from query string into safe options for aggregatePaginate
+// page starts from 1 and limit is capped so nobody can ask for the whole collection at once
+const getPaginationOptions = ({ page, limit } = {}, defaultLimit = 10, maxLimit = 50) => {
+    return {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), maxLimit)
+    }
+}
+
+export { getPaginationOptions }
@@ -0,0 +1,49 @@
+import crypto from "crypto"
+
+// The hls playlists are fetched by the video player, which sends no Authorization header,
+// so GET /videos/:videoId/playback puts a token into the playlist url instead:
+//   "<expires>.<scope>.<signature>"
+// scope "public" only works while the video is published, "owner" (handed to the owner) always.
+// The token sits in the path and not in the query, so the relative variant playlist urls inside
+// the master playlist carry it along.
+
+const PLAYBACK_SCOPES = ["public", "owner"]
+
+const getSigningSecret = () => {
+    const secret = process.env.PLAYBACK_SIGNING_SECRET
+    if (!secret) {
+        throw new Error("PLAYBACK_SIGNING_SECRET is required to sign playback urls")
+    }
+    return secret
+}
+
+const sign = (videoId, scope, expires) => crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${videoId}:${scope}:${expires}`)
+    .digest("base64url")
+
+const createPlaybackToken = (videoId, { scope = "public", expiresIn }) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn
+    return `${expires}.${scope}.${sign(videoId.toString(), scope, expires)}`
+}
+
+// -> { scope, expires } for a valid token, null otherwise
+const verifyPlaybackToken = (videoId, token) => {
+    const [expiresPart, scope, signature] = String(token).split(".")
+    const expires = Number(expiresPart)
+
+    if (!Number.isInteger(expires) || expires * 1000 < Date.now() || !PLAYBACK_SCOPES.includes(scope) || !signature) {
+        return null
+    }
+
+    const expected = Buffer.from(sign(videoId.toString(), scope, expires))
+    const received = Buffer.from(signature)
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null
+    }
+
+    return { scope, expires }
+}
+
+export { createPlaybackToken, verifyPlaybackToken }
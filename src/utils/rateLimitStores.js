@@ -0,0 +1,109 @@
+import { RateLimit } from "../models/rateLimit.model.js"
+
+// A store counts hits per key inside a fixed window.
+// increment(key, windowMs) -> { count, resetAt } where resetAt is the Date the window ends.
+// memory store is fine for a single instance, use the mongo store when running more than one.
+
+const createMemoryStore = () => {
+    const hits = new Map()
+
+    // forget finished windows once a minute so the map doesn't grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now()
+        for (const [key, entry] of hits) {
+            if (entry.resetAt.getTime() <= now) {
+                hits.delete(key)
+            }
+        }
+    }, 60 * 1000)
+    cleanup.unref() // don't keep the process alive just for this timer
+
+    return {
+        name: "memory",
+        increment: async (key, windowMs) => {
+            const now = Date.now()
+            let entry = hits.get(key)
+
+            if (!entry || entry.resetAt.getTime() <= now) {
+                entry = { count: 0, resetAt: new Date(now + windowMs) }
+                hits.set(key, entry)
+            }
+
+            entry.count += 1
+            return { count: entry.count, resetAt: entry.resetAt }
+        },
+        reset: async (key) => {
+            hits.delete(key)
+        }
+    }
+}
+
+const createMongoStore = () => {
+    const increment = async (key, windowMs) => {
+        // one atomic upsert: start a new window if there is none (or it ended), otherwise count the hit
+        const entry = await RateLimit.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        count: {
+                            $cond: [{ $gt: ["$resetAt", "$$NOW"] }, { $add: ["$count", 1] }, 1]
+                        },
+                        resetAt: {
+                            $cond: [{ $gt: ["$resetAt", "$$NOW"] }, "$resetAt", { $add: ["$$NOW", windowMs] }]
+                        }
+                    }
+                }
+            ],
+            { upsert: true, new: true }
+        )
+
+        return { count: entry.count, resetAt: entry.resetAt }
+    }
+
+    return {
+        name: "mongo",
+        increment: async (key, windowMs) => {
+            try {
+                return await increment(key, windowMs)
+            } catch (error) {
+                // two first hits raced on the upsert, the document exists now so just try again
+                if (error?.code === 11000) {
+                    return await increment(key, windowMs)
+                }
+                throw error
+            }
+        },
+        reset: async (key) => {
+            await RateLimit.deleteOne({ key })
+        }
+    }
+}
+
+const storeFactories = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+}
+
+let defaultStore = null
+
+// RATE_LIMIT_STORE=mongo switches every limiter without its own store to mongo
+const getDefaultRateLimitStore = () => {
+    if (!defaultStore) {
+        const name = process.env.RATE_LIMIT_STORE || "memory"
+        const factory = storeFactories[name]
+
+        if (!factory) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}", use one of ${Object.keys(storeFactories).join(", ")}`)
+        }
+
+        defaultStore = factory()
+    }
+    return defaultStore
+}
+
+export {
+    createMemoryStore,
+    createMongoStore,
+    getDefaultRateLimitStore
+}
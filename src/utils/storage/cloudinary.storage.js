@@ -0,0 +1,159 @@
+import { v2 as cloudinary } from "cloudinary"
+
+
+// keys look like "<resource_type>/<public_id>", e.g. "video/videos/abc123" or "raw/hls/<videoId>/master.m3u8",
+// because cloudinary needs the resource type again for delete / stat / urls.
+// private uploads (access: "private") are of delivery type "authenticated", only reachable with a signed url,
+// their keys start with "authenticated/": "authenticated/raw/hls/<videoId>/720p/segment_0000.ts".
+// only raw files can be private here, their public id keeps the extension the download url needs
+
+let configured = false
+
+const configure = () => {
+    if (!configured) {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET
+        })
+        configured = true
+    }
+    return cloudinary
+}
+
+const AUTHENTICATED_PREFIX = "authenticated/"
+
+const splitKey = (key) => {
+    const type = key.startsWith(AUTHENTICATED_PREFIX) ? "authenticated" : "upload"
+    const rest = type === "authenticated" ? key.slice(AUTHENTICATED_PREFIX.length) : key
+    const separatorIndex = rest.indexOf("/")
+    return {
+        type,
+        resourceType: rest.slice(0, separatorIndex),
+        publicId: rest.slice(separatorIndex + 1)
+    }
+}
+
+// the old documents only have the url:
+// https://res.cloudinary.com/demo/video/upload/v1234567890/folder/name.mp4 -> "video/folder/name"
+const keyFromUrl = (url) => {
+    const parts = new URL(url).pathname.split("/").filter(Boolean)
+    const uploadIndex = parts.indexOf("upload")
+
+    if (uploadIndex < 1) {
+        return null
+    }
+
+    let rest = parts.slice(uploadIndex + 1)
+    if (/^v\d+$/.test(rest[0])) {
+        rest = rest.slice(1) // version number
+    }
+
+    return `${parts[uploadIndex - 1]}/${rest.join("/").replace(/\.[^/.]+$/, "")}`
+}
+
+const createCloudinaryStorage = () => {
+    const getSignedUrl = async (key, { expiresIn = 3600 } = {}) => {
+        const { type, resourceType, publicId } = splitKey(key)
+
+        // a signed delivery url never expires, private files go through the download api
+        // which takes an expiry (expires_at, unix seconds)
+        if (type === "authenticated") {
+            return configure().utils.private_download_url(publicId, undefined, {
+                resource_type: resourceType,
+                type,
+                expires_at: Math.floor(Date.now() / 1000) + expiresIn
+            })
+        }
+
+        // public uploads are reachable without a signature anyway, expiresIn means nothing for them
+        return configure().url(publicId, { resource_type: resourceType, type, secure: true, sign_url: true })
+    }
+
+    return {
+        name: "cloudinary",
+
+        upload: async (localFilePath, { folder, resourceType = "auto", key, access } = {}) => {
+            if (access === "private" && resourceType !== "raw") {
+                throw new Error("Private cloudinary uploads have to be raw files")
+            }
+
+            // with a fixed key (hls files point at each other by path) the public id is the key,
+            // raw files keep their extension in the public id, images and videos don't
+            const publicId = key && (resourceType === "raw" ? key : key.replace(/\.[^/.]+$/, ""))
+
+            const response = await configure().uploader.upload(localFilePath, {
+                resource_type: resourceType,
+                folder: key ? undefined : folder,
+                public_id: publicId,
+                type: access === "private" ? "authenticated" : "upload",
+                overwrite: Boolean(key)
+            })
+
+            return {
+                key: `${response.type === "authenticated" ? AUTHENTICATED_PREFIX : ""}${response.resource_type}/${response.public_id}`,
+                url: response.secure_url,
+                bytes: response.bytes,
+                contentType: response.format ? `${response.resource_type}/${response.format}` : undefined,
+                duration: response.duration,
+                width: response.width,
+                height: response.height
+            }
+        },
+
+        delete: async (key) => {
+            const { type, resourceType, publicId } = splitKey(key)
+            const result = await configure().uploader.destroy(publicId, {
+                resource_type: resourceType,
+                type,
+                invalidate: true
+            })
+            // "not found" is fine, the asset is gone either way
+            return result.result === "ok"
+        },
+
+        // prefix is "<resource_type>/<public id prefix>", like keys
+        deletePrefix: async (prefix) => {
+            const { type, resourceType, publicId } = splitKey(prefix)
+            let response
+            do {
+                // at most 1000 per call, partial is true while there are more
+                response = await configure().api.delete_resources_by_prefix(`${publicId}/`, { resource_type: resourceType, type })
+            } while (response.partial)
+        },
+
+        getUrl: (key) => {
+            const { type, resourceType, publicId } = splitKey(key)
+            return configure().url(publicId, { resource_type: resourceType, type, secure: true })
+        },
+
+        getSignedUrl,
+
+        stat: async (key) => {
+            const { type, resourceType, publicId } = splitKey(key)
+            try {
+                const resource = await configure().api.resource(publicId, { resource_type: resourceType, type })
+                return {
+                    bytes: resource.bytes,
+                    contentType: `${resource.resource_type}/${resource.format}`,
+                    lastModified: new Date(resource.created_at)
+                }
+            } catch (error) {
+                if (error?.error?.http_code === 404 || error?.http_code === 404) {
+                    return null
+                }
+                throw error
+            }
+        },
+
+        read: async (key) => {
+            const response = await fetch(await getSignedUrl(key))
+            if (!response.ok) {
+                throw new Error(`Could not read "${key}" from cloudinary: ${response.status}`)
+            }
+            return Buffer.from(await response.arrayBuffer())
+        }
+    }
+}
+
+export { createCloudinaryStorage, keyFromUrl }
@@ -0,0 +1,178 @@
+import fs from "fs"
+import { createCloudinaryStorage, keyFromUrl } from "./cloudinary.storage.js"
+import { createLocalStorage, verifyLocalSignature, getLocalStorageDir } from "./local.storage.js"
+import { createS3Storage } from "./s3.storage.js"
+
+
+// Every backend has the same shape:
+//   upload(localFilePath, { folder, resourceType, key?, access? }) -> { key, url, bytes, contentType, duration?, width?, height? }
+//     (key puts the file at exactly that key instead of a generated one in folder,
+//     access: "private" for files that must only be reachable through getSignedUrl)
+//   delete(key), deletePrefix(prefix) for everything under "<prefix>/"
+//   getUrl(key), getSignedUrl(key, { expiresIn }), stat(key) -> { bytes, contentType, lastModified } | null
+//   read(key) -> Buffer, for small files only (playlists)
+//   getFilePath(key) only where the file is on this machine (local)
+// STORAGE_PROVIDER picks the one new uploads go to: cloudinary (default), local or s3.
+//
+// The database keeps a provider neutral asset id "<provider>:<key>" (e.g. "local:videos/123-abc.mp4"),
+// so files uploaded before a switch of STORAGE_PROVIDER are still deleted / signed by the right backend.
+
+const providerFactories = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage,
+    s3: createS3Storage
+}
+
+const providers = {}
+
+const getProvider = (name) => {
+    if (!providers[name]) {
+        const factory = providerFactories[name]
+
+        if (!factory) {
+            throw new Error(`Unknown storage provider "${name}", use one of ${Object.keys(providerFactories).join(", ")}`)
+        }
+
+        providers[name] = factory()
+    }
+    return providers[name]
+}
+
+const getDefaultProvider = () => getProvider(process.env.STORAGE_PROVIDER || "cloudinary")
+
+// plug in another backend (a test double, another cloud...) under a name
+const setStorageProvider = (name, provider) => {
+    if (provider && typeof provider.upload !== "function") {
+        throw new Error("Storage provider must have an upload(localFilePath, options) function")
+    }
+    providers[name] = provider
+}
+
+const parseAssetId = (assetId) => {
+    const separatorIndex = assetId?.indexOf(":") ?? -1
+
+    if (separatorIndex < 1) {
+        throw new Error(`Invalid asset id "${assetId}"`)
+    }
+
+    return {
+        provider: getProvider(assetId.slice(0, separatorIndex)),
+        key: assetId.slice(separatorIndex + 1)
+    }
+}
+
+// documents created before asset ids existed only have a cloudinary url
+const getAssetId = (assetId, legacyUrl) => {
+    if (assetId) {
+        return assetId
+    }
+    if (legacyUrl?.includes("res.cloudinary.com")) {
+        const key = keyFromUrl(legacyUrl)
+        return key ? `cloudinary:${key}` : null
+    }
+    return null
+}
+
+const storage = {
+    upload: async (localFilePath, options = {}) => {
+        const provider = getDefaultProvider()
+        const result = await provider.upload(localFilePath, options)
+
+        return {
+            ...result,
+            assetId: `${provider.name}:${result.key}`
+        }
+    },
+
+    delete: async (assetId) => {
+        const { provider, key } = parseAssetId(assetId)
+        return await provider.delete(key)
+    },
+
+    // assetPrefix is "<provider>:<key prefix>", like an asset id of a folder
+    deletePrefix: async (assetPrefix) => {
+        const { provider, key } = parseAssetId(assetPrefix)
+        return await provider.deletePrefix(key)
+    },
+
+    getUrl: (assetId) => {
+        const { provider, key } = parseAssetId(assetId)
+        return provider.getUrl(key)
+    },
+
+    getSignedUrl: async (assetId, { expiresIn = 3600 } = {}) => {
+        const { provider, key } = parseAssetId(assetId)
+        return await provider.getSignedUrl(key, { expiresIn })
+    },
+
+    stat: async (assetId) => {
+        const { provider, key } = parseAssetId(assetId)
+        return await provider.stat(key)
+    },
+
+    read: async (assetId) => {
+        const { provider, key } = parseAssetId(assetId)
+        return await provider.read(key)
+    },
+
+    // something ffmpeg can read: the file itself for local storage, a signed url for the clouds
+    getProcessingSource: async (assetId, { expiresIn = 3600 } = {}) => {
+        const { provider, key } = parseAssetId(assetId)
+        if (typeof provider.getFilePath === "function") {
+            return provider.getFilePath(key)
+        }
+        return await provider.getSignedUrl(key, { expiresIn })
+    }
+}
+
+// what the controllers use: the temp file is always removed, and a failed upload gives null
+// (like uploadOnCloudinary did) so the caller can answer with its own ApiError
+const uploadFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null
+
+    try {
+        return await storage.upload(localFilePath, options)
+    } catch (error) {
+        console.log("Error uploading file to storage:", error)
+        return null
+    } finally {
+        await fs.promises.rm(localFilePath, { force: true })
+    }
+}
+
+// deleting an old file must not fail the request that replaced it
+const deleteFile = async (assetId) => {
+    if (!assetId) return false
+
+    try {
+        return await storage.delete(assetId)
+    } catch (error) {
+        console.log("Error deleting file from storage:", error)
+        return false
+    }
+}
+
+// same for a whole folder of files (hls renditions)
+const deleteFolder = async (assetPrefix) => {
+    if (!assetPrefix) return false
+
+    try {
+        await storage.deletePrefix(assetPrefix)
+        return true
+    } catch (error) {
+        console.log("Error deleting folder from storage:", error)
+        return false
+    }
+}
+
+export {
+    storage,
+    uploadFile,
+    deleteFile,
+    deleteFolder,
+    getAssetId,
+    parseAssetId,
+    setStorageProvider,
+    verifyLocalSignature,
+    getLocalStorageDir
+}
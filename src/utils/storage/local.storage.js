@@ -0,0 +1,123 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { getContentType } from "./mimeTypes.js"
+
+
+// files are copied into LOCAL_STORAGE_DIR (default ./public/uploads) which express.static
+// already serves, so LOCAL_STORAGE_BASE_URL (default /uploads) points to the same folder.
+// videos/ and hls/ in there only go out with a signed url (middlewares/localUploads.middleware.js).
+// Nothing leaves the machine, good for dev and tests.
+
+const getRootDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || "./public/uploads")
+
+const getBaseUrl = () => (process.env.LOCAL_STORAGE_BASE_URL || "/uploads").replace(/\/+$/, "")
+
+// never let a key climb out of the storage folder ("../../.env")
+const resolveKey = (key) => {
+    const rootDir = getRootDir()
+    const filePath = path.resolve(rootDir, key)
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`)
+    }
+    return filePath
+}
+
+const getSigningSecret = () => {
+    const secret = process.env.LOCAL_STORAGE_SIGNING_SECRET
+    if (!secret) {
+        throw new Error("LOCAL_STORAGE_SIGNING_SECRET is required to sign local storage urls")
+    }
+    return secret
+}
+
+const signKey = (key, expires) => crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex")
+
+// checks the ?expires=&signature= pair of a url made by getSignedUrl
+const verifyLocalSignature = (key, expires, signature) => {
+    const expiresAt = Number(expires)
+
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== "string") {
+        return false
+    }
+
+    const expected = Buffer.from(signKey(key, expiresAt))
+    const received = Buffer.from(signature)
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+const createLocalStorage = () => {
+    const getUrl = (key) => `${getBaseUrl()}/${key.split("/").map(encodeURIComponent).join("/")}`
+
+    return {
+        name: "local",
+
+        upload: async (localFilePath, { folder = "misc", key = `${folder}/${Date.now()}-${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}` } = {}) => {
+            const filePath = resolveKey(key)
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+            // copy, not rename: the temp folder may sit on another disk
+            await fs.promises.copyFile(localFilePath, filePath)
+            const { size } = await fs.promises.stat(filePath)
+
+            return {
+                key,
+                url: getUrl(key),
+                bytes: size,
+                contentType: getContentType(filePath)
+            }
+        },
+
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key))
+                return true
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return false
+                }
+                throw error
+            }
+        },
+
+        deletePrefix: async (prefix) => {
+            await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true })
+        },
+
+        getUrl,
+
+        getSignedUrl: async (key, { expiresIn = 3600 } = {}) => {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn
+            const params = new URLSearchParams({ expires: String(expires), signature: signKey(key, expires) })
+            return `${getUrl(key)}?${params.toString()}`
+        },
+
+        stat: async (key) => {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key))
+                return {
+                    bytes: stats.size,
+                    contentType: getContentType(key),
+                    lastModified: stats.mtime
+                }
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return null
+                }
+                throw error
+            }
+        },
+
+        read: async (key) => await fs.promises.readFile(resolveKey(key)),
+
+        // only the local backend can hand out the real path (streaming, ffmpeg...)
+        getFilePath: resolveKey
+    }
+}
+
+export { createLocalStorage, verifyLocalSignature, getRootDir as getLocalStorageDir }
@@ -0,0 +1,22 @@
+import path from "path"
+
+// just the types this app deals with, anything else is stored as a generic binary
+const MIME_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".mp4": "video/mp4",
+    ".m4v": "video/mp4",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska",
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t"
+}
+
+const getContentType = (filePath) => MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream"
+
+export { getContentType }
@@ -0,0 +1,157 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand
+} from "@aws-sdk/client-s3"
+import { getSignedUrl as presign } from "@aws-sdk/s3-request-presigner"
+import { getContentType } from "./mimeTypes.js"
+
+
+// works with AWS S3 and the S3 compatible ones (MinIO, Cloudflare R2, Backblaze...):
+//   S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_ENDPOINT + S3_FORCE_PATH_STYLE=true for MinIO like servers
+//   S3_PUBLIC_URL when the bucket is served through a CDN / custom domain
+// objects are private unless a bucket policy opens them, so upload's access option needs nothing here.
+// a public bucket policy must leave videos/ and hls/ out, those only go out through signed urls
+
+let client = null
+
+const getClient = () => {
+    if (!client) {
+        if (!process.env.S3_BUCKET) {
+            throw new Error("S3_BUCKET is required for the s3 storage provider")
+        }
+
+        client = new S3Client({
+            region: process.env.S3_REGION || "us-east-1",
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                }
+                : undefined // falls back to the default aws credential chain
+        })
+    }
+    return client
+}
+
+const getPublicBaseUrl = () => {
+    const bucket = process.env.S3_BUCKET
+
+    if (process.env.S3_PUBLIC_URL) {
+        return process.env.S3_PUBLIC_URL.replace(/\/+$/, "")
+    }
+    if (process.env.S3_ENDPOINT) {
+        return `${process.env.S3_ENDPOINT.replace(/\/+$/, "")}/${bucket}`
+    }
+    return `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`
+}
+
+const createS3Storage = () => {
+    const getUrl = (key) => `${getPublicBaseUrl()}/${key.split("/").map(encodeURIComponent).join("/")}`
+
+    return {
+        name: "s3",
+
+        upload: async (localFilePath, { folder = "misc", key = `${folder}/${Date.now()}-${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}` } = {}) => {
+            const { size } = await fs.promises.stat(localFilePath)
+            const contentType = getContentType(localFilePath)
+
+            await getClient().send(new PutObjectCommand({
+                Bucket: process.env.S3_BUCKET,
+                Key: key,
+                Body: fs.createReadStream(localFilePath),
+                ContentLength: size,
+                ContentType: contentType
+            }))
+
+            return {
+                key,
+                url: getUrl(key),
+                bytes: size,
+                contentType
+            }
+        },
+
+        // s3 deletes are idempotent, a missing key is not an error
+        delete: async (key) => {
+            await getClient().send(new DeleteObjectCommand({
+                Bucket: process.env.S3_BUCKET,
+                Key: key
+            }))
+            return true
+        },
+
+        deletePrefix: async (prefix) => {
+            let continuationToken
+            do {
+                // a listing page has at most 1000 keys, exactly what one DeleteObjects takes
+                const page = await getClient().send(new ListObjectsV2Command({
+                    Bucket: process.env.S3_BUCKET,
+                    Prefix: `${prefix}/`,
+                    ContinuationToken: continuationToken
+                }))
+
+                if (page.Contents?.length) {
+                    await getClient().send(new DeleteObjectsCommand({
+                        Bucket: process.env.S3_BUCKET,
+                        Delete: {
+                            Objects: page.Contents.map(({ Key }) => ({ Key })),
+                            Quiet: true
+                        }
+                    }))
+                }
+
+                continuationToken = page.NextContinuationToken
+            } while (continuationToken)
+        },
+
+        getUrl,
+
+        getSignedUrl: async (key, { expiresIn = 3600 } = {}) => {
+            return await presign(
+                getClient(),
+                new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }),
+                { expiresIn }
+            )
+        },
+
+        stat: async (key) => {
+            try {
+                const head = await getClient().send(new HeadObjectCommand({
+                    Bucket: process.env.S3_BUCKET,
+                    Key: key
+                }))
+                return {
+                    bytes: head.ContentLength,
+                    contentType: head.ContentType,
+                    lastModified: head.LastModified
+                }
+            } catch (error) {
+                if (error?.$metadata?.httpStatusCode === 404) {
+                    return null
+                }
+                throw error
+            }
+        },
+
+        read: async (key) => {
+            const response = await getClient().send(new GetObjectCommand({
+                Bucket: process.env.S3_BUCKET,
+                Key: key
+            }))
+            return Buffer.from(await response.Body.transformToByteArray())
+        }
+    }
+}
+
+export { createS3Storage }
@@ -0,0 +1,20 @@
+import fs from "fs"
+import path from "path"
+
+
+// resolved on first use and not at import time, src/index.js loads .env after the imports ran
+let uploadTempDir = null
+
+// temp files live outside of public/ (express.static serves that folder to everybody)
+const getUploadTempDir = () => {
+    if (!uploadTempDir) {
+        uploadTempDir = path.resolve(process.env.UPLOAD_TEMP_DIR || "./tmp/uploads")
+        fs.mkdirSync(path.join(uploadTempDir, "resumable"), { recursive: true })
+    }
+    return uploadTempDir
+}
+
+// partial files of the resumable uploads, one per upload session
+const getResumableUploadDir = () => path.join(getUploadTempDir(), "resumable")
+
+export { getUploadTempDir, getResumableUploadDir }
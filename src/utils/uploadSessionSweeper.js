@@ -0,0 +1,61 @@
+import fs from "fs"
+import path from "path"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { getResumableUploadDir } from "./tempFiles.js"
+import { UPLOAD_SESSION_TTL_MS, UPLOAD_SESSION_SWEEP_INTERVAL_MS } from "../constants.js"
+
+
+// removes expired upload sessions with their partial files, and files left in
+// the resumable temp folder without a session (server crashed between the two deletes...)
+const sweepExpiredUploadSessions = async () => {
+    const expiredSessions = await UploadSession.find({ expiresAt: { $lt: new Date() } })
+
+    for (const session of expiredSessions) {
+        await fs.promises.rm(session.getFilePath(), { force: true })
+    }
+
+    await UploadSession.deleteMany({ _id: { $in: expiredSessions.map((session) => session._id) } })
+
+    let orphanFiles = 0
+    const resumableDir = getResumableUploadDir()
+    const fileNames = await fs.promises.readdir(resumableDir)
+
+    for (const fileName of fileNames) {
+        const filePath = path.join(resumableDir, fileName)
+        const { mtimeMs } = await fs.promises.stat(filePath)
+
+        // young files may belong to a session being created right now
+        if (Date.now() - mtimeMs < UPLOAD_SESSION_TTL_MS) {
+            continue
+        }
+
+        const sessionId = path.parse(fileName).name
+        const hasSession = await UploadSession.exists({ _id: sessionId }).catch(() => null)
+
+        if (!hasSession) {
+            await fs.promises.rm(filePath, { force: true })
+            orphanFiles++
+        }
+    }
+
+    return { expiredSessions: expiredSessions.length, orphanFiles }
+}
+
+const startUploadSessionSweeper = (intervalMs = UPLOAD_SESSION_SWEEP_INTERVAL_MS) => {
+    const sweep = async () => {
+        try {
+            const result = await sweepExpiredUploadSessions()
+            if (result.expiredSessions || result.orphanFiles) {
+                console.log("🧹 upload sessions swept", result)
+            }
+        } catch (error) {
+            console.log("❌ upload session sweep failed:", error)
+        }
+    }
+
+    sweep()
+    // unref: the timer alone should not keep the process alive
+    return setInterval(sweep, intervalMs).unref()
+}
+
+export { sweepExpiredUploadSessions, startUploadSessionSweeper }
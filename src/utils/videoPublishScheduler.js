@@ -0,0 +1,61 @@
+import { Video } from "../models/video.model.js"
+import { VIDEO_PUBLISH_CHECK_INTERVAL_MS } from "../constants.js"
+
+
+// videos from before visibility existed only have isPublished
+const backfillVideoVisibility = async () => {
+    const result = await Video.updateMany(
+        { visibility: { $exists: false } },
+        [
+            {
+                $set: {
+                    visibility: { $cond: ["$isPublished", "public", "private"] }
+                }
+            }
+        ]
+    )
+    return result.modifiedCount
+}
+
+// makes every video whose publishAt has passed public. one updateMany, so running it
+// on several servers at the same time is harmless. videos a moderator took down are left alone
+const publishScheduledVideos = async () => {
+    const result = await Video.updateMany(
+        {
+            publishAt: { $lte: new Date() },
+            "moderation.unpublishedAt": { $exists: false }
+        },
+        {
+            $set: Video.visibilityFields("public"),
+            $unset: { publishAt: 1 }
+        }
+    )
+    return result.modifiedCount
+}
+
+const startVideoPublishScheduler = (intervalMs = VIDEO_PUBLISH_CHECK_INTERVAL_MS) => {
+    const tick = async () => {
+        try {
+            const published = await publishScheduledVideos()
+            if (published) {
+                console.log(`📅 ${published} scheduled video(s) published`)
+            }
+        } catch (error) {
+            console.log("❌ scheduled publishing failed:", error)
+        }
+    }
+
+    backfillVideoVisibility()
+        .then((updated) => {
+            if (updated) {
+                console.log(`visibility set on ${updated} older video(s)`)
+            }
+        })
+        .catch((error) => console.log("❌ visibility backfill failed:", error))
+        .finally(tick)
+
+    // unref: the timer alone should not keep the process alive
+    return setInterval(tick, intervalMs).unref()
+}
+
+export { backfillVideoVisibility, publishScheduledVideos, startVideoPublishScheduler }
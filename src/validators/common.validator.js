@@ -0,0 +1,47 @@
+import { z } from "zod"
+import { isValidObjectId } from "mongoose"
+
+// building blocks for the route schemas, every message names the field it is about
+
+const stringOf = (field) => z.string({
+    error: (issue) => issue.input === undefined ? `${field} is required` : `${field} must be a string`
+})
+
+const requiredString = (field, maxLength = 200) => stringOf(field)
+    .trim()
+    .min(1, `${field} is required`)
+    .max(maxLength, `${field} must be at most ${maxLength} characters`)
+
+const objectId = (field) => stringOf(field)
+    .refine((value) => isValidObjectId(value), `${field} must be a valid id`)
+
+const email = (field = "email") => stringOf(field)
+    .trim()
+    .toLowerCase()
+    .pipe(z.email(`${field} must be a valid email address`))
+
+// only for new passwords, login accepts whatever was set before these rules existed
+const newPassword = (field = "password") => stringOf(field)
+    .min(8, `${field} must be at least 8 characters`)
+    .max(128, `${field} must be at most 128 characters`)
+
+const totpCode = (field = "code") => stringOf(field)
+    .trim()
+    .regex(/^\d{6}$/, `${field} must be 6 digits`)
+
+// for routes that take nothing in that location, anything sent is rejected instead of silently ignored
+const noFields = (location) => z.strictObject({}, {
+    error: (issue) => issue.code === "unrecognized_keys"
+        ? `${location} takes no fields, got ${issue.keys.join(", ")}`
+        : `${location} must be an object`
+})
+
+export {
+    noFields,
+    stringOf,
+    requiredString,
+    objectId,
+    email,
+    newPassword,
+    totpCode
+}
@@ -0,0 +1,30 @@
+import { z } from "zod"
+import { requiredString, objectId } from "./common.validator.js"
+import { visibilityFields, isValidSchedule, scheduleError } from "./video.validator.js"
+import { VIDEO_MIME_TYPES } from "../utils/fileType.js"
+import { RESUMABLE_UPLOAD_MAX_BYTES } from "../constants.js"
+
+const createUploadSchema = {
+    body: z.object({
+        fileName: requiredString("fileName", 255),
+        fileSize: z.number({ error: "fileSize must be a number" })
+            .int("fileSize must be a whole number")
+            .positive("fileSize must be greater than 0")
+            .max(RESUMABLE_UPLOAD_MAX_BYTES, `fileSize must be at most ${RESUMABLE_UPLOAD_MAX_BYTES} bytes`),
+        mimeType: z.enum(VIDEO_MIME_TYPES, { error: `mimeType must be one of ${VIDEO_MIME_TYPES.join(", ")}` }),
+        title: requiredString("title"),
+        description: requiredString("description", 5000),
+        ...visibilityFields
+    }).refine(isValidSchedule, scheduleError)
+}
+
+const uploadIdSchema = {
+    params: z.object({
+        uploadId: objectId("uploadId")
+    })
+}
+
+export {
+    createUploadSchema,
+    uploadIdSchema
+}
@@ -0,0 +1,145 @@
+import { z } from "zod"
+import { noFields, stringOf, requiredString, objectId, email, newPassword, totpCode } from "./common.validator.js"
+
+const username = (field = "username") => requiredString(field, 30)
+    .toLowerCase()
+    .min(3, `${field} must be at least 3 characters`)
+    .regex(/^[a-z0-9_.]+$/, `${field} can only contain letters, numbers, "_" and "."`)
+
+const deviceName = requiredString("deviceName", 100).optional()
+
+const registerSchema = {
+    body: z.object({
+        fullName: requiredString("fullName", 100),
+        email: email(),
+        username: username(),
+        password: newPassword()
+    })
+}
+
+const loginSchema = {
+    body: z.object({
+        username: requiredString("username").toLowerCase().optional(),
+        email: email().optional(),
+        password: stringOf("password").min(1, "password is required"),
+        deviceName
+    }).refine((body) => body.username || body.email, {
+        message: "username or email is required",
+        path: ["username"]
+    })
+}
+
+const twoFactorLoginSchema = {
+    body: z.object({
+        challengeToken: requiredString("challengeToken", 2000),
+        code: totpCode().optional(),
+        recoveryCode: requiredString("recoveryCode", 20).optional(),
+        deviceName
+    }).refine((body) => body.code || body.recoveryCode, {
+        message: "code or recoveryCode is required",
+        path: ["code"]
+    })
+}
+
+const refreshTokenSchema = {
+    // usually the token comes in the cookie, body is for clients that can't use cookies
+    body: z.object({
+        refreshToken: requiredString("refreshToken", 2000).optional()
+    })
+}
+
+const changePasswordSchema = {
+    body: z.object({
+        oldPassword: stringOf("oldPassword").min(1, "oldPassword is required"),
+        newPassword: newPassword("newPassword")
+    }).refine((body) => body.oldPassword !== body.newPassword, {
+        message: "newPassword must be different from oldPassword",
+        path: ["newPassword"]
+    })
+}
+
+const forgotPasswordSchema = {
+    body: z.object({
+        email: email()
+    })
+}
+
+const resetPasswordSchema = {
+    body: z.object({
+        token: requiredString("token").regex(/^[a-f0-9]{64}$/, "token is invalid"),
+        newPassword: newPassword("newPassword")
+    })
+}
+
+const updateAccountSchema = {
+    body: z.object({
+        fullName: requiredString("fullName", 100),
+        email: email()
+    })
+}
+
+const channelProfileSchema = {
+    params: z.object({
+        username: requiredString("username", 30)
+    })
+}
+
+const watchHistoryItemSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    })
+}
+
+const sessionIdSchema = {
+    params: z.object({
+        sessionId: objectId("sessionId")
+    })
+}
+
+const verifyEmailSchema = {
+    body: z.object({
+        token: requiredString("token", 2000)
+    })
+}
+
+const confirmTwoFactorSchema = {
+    body: z.object({
+        code: totpCode()
+    })
+}
+
+const disableTwoFactorSchema = {
+    body: z.object({
+        password: stringOf("password").min(1, "password is required"),
+        code: totpCode().optional(),
+        recoveryCode: requiredString("recoveryCode", 20).optional()
+    }).refine((body) => body.code || body.recoveryCode, {
+        message: "code or recoveryCode is required",
+        path: ["code"]
+    })
+}
+
+// logout, current-user, sessions list, 2fa setup... everything they need comes from the access token.
+// also the avatar / cover image uploads (after multer), the file is their only input
+const noInputSchema = {
+    query: noFields("query"),
+    body: noFields("body")
+}
+
+export {
+    noInputSchema,
+    registerSchema,
+    loginSchema,
+    twoFactorLoginSchema,
+    refreshTokenSchema,
+    changePasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateAccountSchema,
+    channelProfileSchema,
+    watchHistoryItemSchema,
+    sessionIdSchema,
+    verifyEmailSchema,
+    confirmTwoFactorSchema,
+    disableTwoFactorSchema
+}
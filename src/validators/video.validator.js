@@ -0,0 +1,54 @@
+import { z } from "zod"
+import { requiredString, objectId } from "./common.validator.js"
+import { VIDEO_VISIBILITIES } from "../constants.js"
+
+const visibility = (field = "visibility") => z.enum(VIDEO_VISIBILITIES, {
+    error: `${field} must be one of ${VIDEO_VISIBILITIES.join(", ")}`
+})
+
+// null clears a schedule, multipart forms send the date as a string so it is coerced
+const publishAt = (field = "publishAt") => z.union([
+    z.null(),
+    z.coerce.date({ error: `${field} must be a date` })
+        .refine((date) => date > new Date(), `${field} must be in the future`)
+], { error: `${field} must be a date` })
+
+// a scheduled video waits as private or unlisted, the scheduler is what makes it public
+const isValidSchedule = (body) => !(body.publishAt && body.visibility === "public")
+const scheduleError = {
+    message: "visibility can't be public while publishAt is set, use private or unlisted",
+    path: ["visibility"]
+}
+
+const visibilityFields = {
+    visibility: visibility().optional(),
+    publishAt: publishAt().optional()
+}
+
+const publishVideoSchema = {
+    body: z.object({
+        title: requiredString("title"),
+        description: requiredString("description", 5000),
+        ...visibilityFields
+    }).refine(isValidSchedule, scheduleError)
+}
+
+const updateVisibilitySchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    }),
+    body: z.object(visibilityFields)
+        .refine((body) => body.visibility !== undefined || body.publishAt !== undefined, {
+            message: "visibility or publishAt is required",
+            path: ["visibility"]
+        })
+        .refine(isValidSchedule, scheduleError)
+}
+
+export {
+    visibilityFields,
+    isValidSchedule,
+    scheduleError,
+    publishVideoSchema,
+    updateVisibilitySchema
+}
@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+dotenv.config({
+    path:'./.env'
+});
+import connectDB from './db/index.js'
+import { startJobWorker } from './utils/jobQueue.js'
+import { registerJobHandlers } from './jobs/index.js'
+
+// only the background jobs, no http server. run as many of these as needed,
+// and set JOB_WORKER=off on the api servers so they don't process jobs themselves.
+connectDB()
+    .then(() => {
+        registerJobHandlers()
+        const worker = startJobWorker({ concurrency: Number(process.env.JOB_WORKER_CONCURRENCY) || 1 })
+        console.log("✅ Job worker started:", worker.workerId);
+
+        const shutdown = async () => {
+            console.log("stopping job worker, waiting for running jobs...");
+            await worker.stop()
+            process.exit(0)
+        }
+        process.on('SIGINT', shutdown)
+        process.on('SIGTERM', shutdown)
+    })
+    .catch((error) => {
+        console.log("❌ Failed to start job worker:", error);
+        process.exit(1);
+    });